@@ -3,6 +3,10 @@
 // Key changes vs. old script:
 // - Uses x-api-key for /api/user/registerUser and /api/user/signin
 // - Uses Bearer JWT in Authorization header for authenticated endpoints
+// - Chats come from a seeded topology plan (lib/topology.js): the same TOPOLOGY_* settings
+//   always create the same chats, owned (created) by the same users. The chat_creation
+//   scenario is sized from the plan's busiest owner, and the run fails (chats_created_total
+//   threshold) unless every planned chat was created
 //
 // Env vars:
 //   API_BASE_URL   (default: https://whisp-dev.api.whispchat.com)
@@ -10,11 +14,29 @@
 //   USER_PREFIX    (default: user)
 //   PASSWORD       (default: password123)
 //   TOTAL_USERS    (default: 5000)
-//   MAX_CHAT_PEERS (default: 100)
+//   MAX_CHAT_PEERS (default: 100)            // chats per user when TOPOLOGY_CHATS is unset
+//   TOPOLOGY_SEED        (default: 1)
+//   TOPOLOGY_CHATS       (default: TOTAL_USERS * MAX_CHAT_PEERS)
+//   TOPOLOGY_MIX         (default: direct:1)  // e.g. direct:0.7,small:0.25,large:0.05
+//   TOPOLOGY_SMALL_SIZE  (default: 3-8)       // members per small group
+//   TOPOLOGY_LARGE_SIZE  (default: 20-100)    // members per large group
+//   TOPOLOGY_DEGREE      (default: uniform)   // uniform | powerlaw ("popular users")
+//   TOPOLOGY_ALPHA       (default: 1.0)       // power-law exponent
+//   SCHEMA_SAMPLE_RATE   (default: 0)         // share of responses checked against lib/contracts.js (0..1)
+//
+// Seed manifest for k6-ws-new.js: every signed-in user and created chat is logged as a
+// SEED_USER / SEED_CHAT record (lib/records.js) with the ids the server returned:
+//   k6 run --console-output=seed.log k6-init-new.js
+//   node whisp-manifest.js            // -> seed-manifest.json
 
 import http from 'k6/http';
+import exec from 'k6/execution';
 import { check, sleep, fail } from 'k6';
 import { Counter } from 'k6/metrics';
+import { SharedArray } from 'k6/data';
+import { buildTopology, ownerLoad, parseMix, parseRange } from './lib/topology.js';
+import { formatRecord } from './lib/records.js';
+import { createContractSampler } from './lib/contracts.js';
 
 // CONFIG
 const API_BASE_URL   = __ENV.API_BASE_URL   || 'https://whisp-dev.api.whispchat.com';
@@ -23,6 +45,18 @@ const USER_PREFIX    = __ENV.USER_PREFIX    || 'user';
 const PASSWORD       = __ENV.PASSWORD       || 'password123';
 const TOTAL_USERS    = +(__ENV.TOTAL_USERS)    || 1250;
 const MAX_CHAT_PEERS = +(__ENV.MAX_CHAT_PEERS) || 100;
+const SCHEMA_SAMPLE_RATE = +(__ENV.SCHEMA_SAMPLE_RATE) || 0;
+
+const TOPOLOGY = {
+  seed:      +(__ENV.TOPOLOGY_SEED) || 1,
+  users:     TOTAL_USERS,
+  chats:     +(__ENV.TOPOLOGY_CHATS) || TOTAL_USERS * Math.min(MAX_CHAT_PEERS, Math.max(0, TOTAL_USERS - 1)),
+  mix:       parseMix(__ENV.TOPOLOGY_MIX || 'direct:1'),
+  smallSize: parseRange(__ENV.TOPOLOGY_SMALL_SIZE || '3-8'),
+  largeSize: parseRange(__ENV.TOPOLOGY_LARGE_SIZE || '20-100'),
+  degree:    __ENV.TOPOLOGY_DEGREE || 'uniform',
+  alpha:     +(__ENV.TOPOLOGY_ALPHA) || 1.0,
+};
 
 if (!API_KEY) {
   fail('Missing required env var: API_KEY (x-api-key used for register/signin)');
@@ -31,6 +65,33 @@ if (!API_KEY) {
 // METRICS
 export const registrationErrors = new Counter('registration_error_count');
 export const chatCreationErrors = new Counter('chat_creation_error_count');
+// Fails the run (threshold below) unless every planned chat was created
+export const chatsCreated       = new Counter('chats_created_total');
+export const schemaViolations   = new Counter('schema_violation');
+
+const sampleContract = createContractSampler(SCHEMA_SAMPLE_RATE, schemaViolations);
+
+// Built once and shared by all VUs: element i holds the chats owned by user i+1
+const chatPlanByOwner = new SharedArray('chat-plan-by-owner', () => {
+  const plan = buildTopology(TOPOLOGY);
+  const byOwner = Array.from({ length: TOTAL_USERS }, () => []);
+  for (const c of plan.chats) byOwner[c.owner - 1].push(c);
+  console.log(`topology plan ${plan.id}: ${plan.chats.length} chats over ${TOTAL_USERS} users`);
+  return byOwner;
+});
+
+// Plan id and the busiest owner's chat count, to size the chat_creation scenario
+const planStats = new SharedArray('chat-plan-stats', () => {
+  const plan = buildTopology(TOPOLOGY);
+  return [{ id: plan.id, ...ownerLoad(plan) }];
+})[0];
+
+// Owners start spread over CHAT_RAMP_S, then create their chats CHAT_PACE_S apart;
+// CHAT_BUDGET_S per chat leaves room for the request itself
+const CHAT_RAMP_S = 240;
+const CHAT_PACE_S = 1.5;
+const CHAT_BUDGET_S = 3;
+const chatCreationSeconds = CHAT_RAMP_S + planStats.maxOwned * CHAT_BUDGET_S + 120;
 
 function asBearer(token) {
   if (!token) return token;
@@ -56,21 +117,33 @@ export const options = {
       gracefulStop: '30s',
     },
 
-    // Stage 2: Chat Creation
+    // Stage 2: Chat Creation, long enough for the busiest owner in the plan
     chat_creation: {
-      executor: 'ramping-vus',
-      stages: [
-        { duration: '4m', target: TOTAL_USERS },
-        { duration: '5m', target: TOTAL_USERS },
-        { duration: '1m', target: 0 },
-      ],
+      executor: 'per-vu-iterations',
+      vus: TOTAL_USERS,
+      iterations: 1,
+      maxDuration: `${chatCreationSeconds}s`,
       exec: 'createChats',
       startTime: '7m',
       gracefulStop: '30s',
     },
   },
+  // A partly created plan is not the plan: runs seeded from it would not compare
+  thresholds: {
+    chats_created_total: [`count>=${TOPOLOGY.chats}`],
+  },
 };
 
+// Which run the SEED_USER / SEED_CHAT records belong to
+export function setup() {
+  console.log(formatRecord('SEED_RUN', {
+    apiBaseUrl: API_BASE_URL,
+    userPrefix: USER_PREFIX,
+    topology: planStats.id,
+  }));
+  console.log(`chat_creation: busiest owner has ${planStats.maxOwned} chats, scenario runs up to ${chatCreationSeconds}s`);
+}
+
 // Stage 1: Register + verify signin (once per VU)
 export function registerUsers() {
   if (exec.vu.iterationInScenario > 0) {
@@ -100,6 +173,8 @@ export function registerUsers() {
     'register status is 201 or 400': (r) => r.status === 201 || r.status === 400,
   });
 
+  if (reg.status === 201) sampleContract('registerUser', reg.json());
+
   if (!regOk) {
     console.error(`VU${vu} register error ${reg.status} body: ${reg.body}`);
     registrationErrors.add(1);
@@ -127,6 +202,7 @@ export function registerUsers() {
   }
 
   const loginData = login.json();
+  sampleContract('signin', loginData);
   const jwtHdr = login.headers['Authorization'] || login.headers['authorization'];
   const userId = loginData?.id || loginData?.userId;
 
@@ -138,17 +214,19 @@ export function registerUsers() {
   }
 
   console.log(`VU${vu}: registered+signed-in ok userId=${userId}`);
+  console.log(formatRecord('SEED_USER', { index: vu, username, userId }));
   sleep(1);
 }
 
 // Stage 2: Create chats (once per VU)
 export function createChats() {
-  if (exec.vu.iterationInScenario > 0) {
-    sleep(10);
-    return;
-  }
+  // One iteration per VU: the iteration number picks the owner, whatever VU ids
+  // the registration scenario left behind
+  const vu = exec.scenario.iterationInTest + 1;
+  const planned = vu <= TOTAL_USERS ? chatPlanByOwner[vu - 1] : [];
+  if (!planned.length) return;
+  sleep((CHAT_RAMP_S * (vu - 1)) / TOTAL_USERS);
 
-  const vu = __VU;
   const username = `${USER_PREFIX}${vu}`;
 
   // Re-login to get fresh JWT (we do not share state between scenarios safely)
@@ -175,18 +253,12 @@ export function createChats() {
     return;
   }
 
-  // Create chats with random peers
-  const chatsToCreate = Math.min(MAX_CHAT_PEERS, Math.max(0, TOTAL_USERS - 1));
+  // Create the chats this user owns in the topology plan
+  const chatsToCreate = planned.length;
   let created = 0;
 
-  for (let i = 0; i < chatsToCreate; i++) {
-    let otherUserNum;
-    do {
-      otherUserNum = Math.floor(Math.random() * TOTAL_USERS) + 1;
-    } while (otherUserNum === vu);
-
-    const otherUsername = `${USER_PREFIX}${otherUserNum}`;
-    const payload = { chatName: `Chat-${vu}-${otherUserNum}`, userNames: [username, otherUsername] };
+  for (const chat of planned) {
+    const payload = { chatName: chat.name, userNames: chat.members.map((n) => `${USER_PREFIX}${n}`) };
 
     const chatResponse = http.post(
       `${API_BASE_URL}/api/chat/createChat`,
@@ -198,14 +270,21 @@ export function createChats() {
 
     if (ok) {
       created++;
-      // optional: chatResponse.json('chatId')
+      chatsCreated.add(1);
+      const body = chatResponse.json();
+      sampleContract('createChat', body);
+      if (body && body.chatId) {
+        console.log(formatRecord('SEED_CHAT', { chatId: body.chatId, name: chat.name, members: chat.members }));
+      } else {
+        console.error(`VU${vu}: createChat returned no chatId, ${chat.name} stays out of the manifest`);
+      }
     } else {
       console.error(`VU${vu}: CreateChat error ${chatResponse.status} body: ${chatResponse.body}`);
       chatCreationErrors.add(1);
     }
 
     // Small delay to avoid thundering herd / rate spikes
-    sleep(1.5);
+    sleep(CHAT_PACE_S);
   }
 
   console.log(`VU${vu}: chat creation completed. Created ${created}/${chatsToCreate} chats.`);
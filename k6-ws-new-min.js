@@ -9,6 +9,7 @@ import http from 'k6/http';
 import ws from 'k6/ws';
 import { check, sleep, fail } from 'k6';
 import { Trend, Counter } from 'k6/metrics';
+import { stompFrame, createStompDecoder, HEARTBEAT, MALFORMED } from './lib/stomp.js';
 
 // CONFIG
 const API_BASE_URL = __ENV.API_BASE_URL || 'https://whisp-dev.api.whispchat.com';
@@ -30,6 +31,7 @@ export let messagesReceived = new Counter('messages_received_total');
 export let messagesSent = new Counter('messages_sent_total');
 export let getChatReq = new Counter('get_chat_req');
 export let undeliveredMessages = new Counter('undelivered_messages');
+export let malformedFrames = new Counter('stomp_malformed_frame_count');
 
 // CACHE CREDENTIALS (unchanged idea)
 let userCreds = {};
@@ -116,18 +118,19 @@ export default function () {
 
   // 2) WebSocket + STOMP state machine (unchanged structure)
   let wsRes = ws.connect(wsUrl, { headers: { Authorization: bearerJwt } }, (socket) => {
-    const connectFrame =
-      'CONNECT\n' +
-      'accept-version:1.2\n' +
-      `Authorization:${bearerJwt}\n\n\0`;
+    const connectFrame = stompFrame('CONNECT', {
+      'accept-version': '1.2',
+      Authorization: bearerJwt,
+    });
 
-    const subFrame =
-      'SUBSCRIBE\n' +
-      `id:sub-${vu}\n` +
-      `destination:/user/${userId}/queue/messages\n\n\0`;
+    const subFrame = stompFrame('SUBSCRIBE', {
+      id: `sub-${vu}`,
+      destination: `/user/${userId}/queue/messages`,
+    });
 
     let chatIds = [];
     let state = 'CONNECTING';
+    const decoder = createStompDecoder();
 
     socket.on('open', () => {
       socket.send(connectFrame);
@@ -137,11 +140,20 @@ export default function () {
     globalPendingPings[vu] = pendingPings;
 
     socket.on('message', (msg) => {
-      const text = msg.toString();
+      for (const frame of decoder.push(msg.toString())) onFrame(frame);
+    });
+
+    function onFrame(frame) {
+      if (frame.command === HEARTBEAT) return;
+      if (frame.command === MALFORMED) {
+        malformedFrames.add(1);
+        console.error(`VU${vu}: malformed STOMP frame (${frame.error})`);
+        return;
+      }
 
       if (state === 'CHATTING') {
         // Keep existing "ping:<nonce>" RTT mechanism
-        const match = text.match(/"ping:(\d+)"/);
+        const match = frame.command === 'MESSAGE' && frame.body.match(/"ping:(\d+)"/);
         if (match) {
           messagesReceived.add(1);
           const nonce = match[1];
@@ -158,7 +170,7 @@ export default function () {
       }
 
       // CONNECTING state
-      if (text.startsWith('CONNECTED')) {
+      if (frame.command === 'CONNECTED') {
         //console.log(`VU${vu}: STOMP CONNECTED`);
         socket.send(subFrame);
         state = 'CHATTING';
@@ -184,12 +196,10 @@ export default function () {
           console.error(`VU${vu}: GetChats error ${getChatsResponse.status} body: ${getChatsResponse.body}`);
         }
       } else {
-        // For a real STOMP ERROR frame we'd need parsing, but keeping old approach for simplicity
-        // (This is consistent with your request to minimize changes.)
-        //console.error(`VU${vu}: CONNECT error: ${text}`);
+        //console.error(`VU${vu}: CONNECT error: ${frame.headers.message}`);
         stompErrors.add(1);
       }
-    });
+    }
 
     socket.on('error', (e) => {
       console.error(`VU${vu}: WS error: ${e.error()}`);
@@ -219,12 +229,10 @@ export default function () {
         timeStamp: new Date().toISOString(),
       };
 
-      const frame =
-        'SEND\n' +
-        'destination:/api/chat\n' +
-        'content-type:application/json\n\n' +
-        JSON.stringify(messageObject) +
-        '\0';
+      const frame = stompFrame('SEND', {
+        destination: '/api/chat',
+        'content-type': 'application/json',
+      }, JSON.stringify(messageObject));
 
       socket.send(frame);
       messagesSent.add(1);
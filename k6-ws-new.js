@@ -5,6 +5,7 @@
 // - Uses Bearer JWT for all authenticated HTTP endpoints
 // - Retrieves websocket ticket via /api/user/getTicket and appends as ?ticket=... to the wsConnect URL
 // - Sends Authorization in both WS handshake headers and STOMP CONNECT headers
+// - Keeps the signin refreshToken and refreshes the JWT via /api/auth/refresh on 401
 //
 // Env vars:
 //   API_BASE_URL       (default: https://whisp-dev.api.whispchat.com)
@@ -16,11 +17,55 @@
 //   SEND_INTERVAL_MS   (default: 6000)
 //   SESSION_TIME_MS    (default: 600000)  // how long each VU keeps a WS connection open
 //   CHAT_REFRESH_MS    (default: 30000)   // refresh chat list periodically (0 disables)
+//   RECONNECT          (default: false)   // on close/error: new ticket, backoff, reconnect until SESSION_TIME_MS
+//   RECONNECT_MAX_ATTEMPTS   (default: 10)     // consecutive failed attempts before the VU gives up
+//   RECONNECT_BACKOFF_MS     (default: 500)    // first backoff; doubles per attempt, with jitter
+//   RECONNECT_BACKOFF_MAX_MS (default: 15000)
+//   MANIFEST_FILE      (default: unset)   // seed manifest (k6-init-new.js + whisp-manifest.js); replaces getChats polling
+//   SCHEMA_SAMPLE_RATE (default: 0)       // share of responses / MESSAGE bodies checked against lib/contracts.js (0..1)
+//   WORKLOAD_FILE      (default: unset)   // persona profile (see lib/workload.js); the three vars above
+//                                         // become defaults for fields a persona leaves out
+//   MESSAGE_SIZES      (default: unset)   // e.g. 128,1024,65536,70000: default persona picks one per message
+//                                         // (UTF-8 bytes of the message text, at least 80; unset = bare ping)
+//   PAYLOAD_KINDS      (default: ascii)   // content of sized messages, one picked per message; any of
+//                                         // ascii,utf8,emoji,newlines,control,json (see lib/payload.js)
+//   MESSAGE_RATE       (default: unset)   // open model: global messages/second across all VUs, whatever the
+//                                         // connection count (TOTAL_USERS); replaces per-VU send intervals
+//   MESSAGE_RATE_STAGES (default: unset)  // ramp from MESSAGE_RATE, e.g. 1m:800,5m:800,30s:0 (holds the last target)
+//   SLO_FILE           (default: unset)   // SLOs -> thresholds (see lib/slo.js, e.g. slo/ws.json); k6 exits non-zero on a miss
+//   SLO_ABORT_ON_FAIL  (default: unset)   // true/false overrides abortOnFail of every SLO
+//   SLO_REPORT         (default: slo-report)  // with SLO_FILE: writes <SLO_REPORT>.json and <SLO_REPORT>.txt
+//   RUN_SUMMARY        (default: run-summary.json)  // structured summary of every metric plus run metadata,
+//                                         // for whisp-compare.js ('' disables)
+//   GIT_COMMIT         (default: unset)   // recorded in RUN_SUMMARY, e.g. -e GIT_COMMIT=$(git rev-parse --short HEAD)
+//   RUN_LABEL          (default: unset)   // free text recorded in RUN_SUMMARY (e.g. 'baseline 2026-10')
+//   STOMP_RECEIPTS     (default: false)   // ask for a RECEIPT on SUBSCRIBE and every SEND; without, the
+//                                         // subscription counts as live once SUBSCRIBE is sent
+//                                         // stomp_receipt_latency_ms = server accepted, independent of fan-out
+//   RECEIPT_TIMEOUT_MS (default: 10000)   // a receipt not back by then counts in stomp_receipt_missing_total
+//   HEARTBEAT_MS       (default: 10000)   // STOMP heart-beat we offer both ways (0 = none); the agreed
+//                                         // intervals come from the server's CONNECTED header
+//   HEARTBEAT_MAX_MISSES (default: 3)     // server heart-beats missed in a row before we drop the connection
+//   SENT_LOG           (default: false)   // log one "SENT {json}" line per sent message for whisp-reconcile.js;
+//                                         // run with --console-output=sent.log
 
 import http from 'k6/http';
 import ws from 'k6/ws';
+import exec from 'k6/execution';
 import { check, sleep, fail } from 'k6';
-import { Trend, Counter } from 'k6/metrics';
+import { Trend, Counter, Gauge, Rate } from 'k6/metrics';
+import { SharedArray } from 'k6/data';
+import { stompFrame, createStompDecoder, negotiateHeartbeat, utf8Length, HEARTBEAT, MALFORMED } from './lib/stomp.js';
+import { indexManifest } from './lib/manifest.js';
+import { createContractSampler } from './lib/contracts.js';
+import { parseWorkload, defaultWorkload, personaForVu, createSizeSampler } from './lib/workload.js';
+import { parseRateStages, rateAt, stageAt, expectedArrivals, nextArrivalDelay } from './lib/arrival.js';
+import { makeContent, parseKinds, sizeBucket } from './lib/payload.js';
+import { parseSlos, sloThresholds, sloTrendStats, sloReport, formatSloReport } from './lib/slo.js';
+import { runSummary } from './lib/runsummary.js';
+import { formatRecord } from './lib/records.js';
+import { createSeqTracker } from './lib/seqtracker.js';
+import { textSummary } from 'https://jslib.k6.io/k6-summary/0.0.2/index.js';
 
 // CONFIG
 const API_BASE_URL     = __ENV.API_BASE_URL     || 'https://whisp-dev.api.whispchat.com';
@@ -32,6 +77,57 @@ const TOTAL_USERS      = +(__ENV.TOTAL_USERS)      || 1250;
 const SEND_INTERVAL_MS = +(__ENV.SEND_INTERVAL_MS) || 10000;
 const SESSION_TIME_MS  = +(__ENV.SESSION_TIME_MS)  || 600000;
 const CHAT_REFRESH_MS  = +(__ENV.CHAT_REFRESH_MS)  || 30000;
+const RECONNECT        = (__ENV.RECONNECT || 'false').toLowerCase() === 'true';
+const RECONNECT_MAX_ATTEMPTS   = +(__ENV.RECONNECT_MAX_ATTEMPTS)   || 10;
+const RECONNECT_BACKOFF_MS     = +(__ENV.RECONNECT_BACKOFF_MS)     || 500;
+const RECONNECT_BACKOFF_MAX_MS = +(__ENV.RECONNECT_BACKOFF_MAX_MS) || 15000;
+const MANIFEST_FILE    = __ENV.MANIFEST_FILE    || '';
+const SCHEMA_SAMPLE_RATE = +(__ENV.SCHEMA_SAMPLE_RATE) || 0;
+const SENT_LOG         = (__ENV.SENT_LOG || 'false').toLowerCase() === 'true';
+const STOMP_RECEIPTS   = (__ENV.STOMP_RECEIPTS || 'false').toLowerCase() === 'true';
+const RECEIPT_TIMEOUT_MS = +(__ENV.RECEIPT_TIMEOUT_MS) || 10000;
+const HEARTBEAT_MS     = __ENV.HEARTBEAT_MS !== undefined ? +__ENV.HEARTBEAT_MS || 0 : 10000;
+const HEARTBEAT_MAX_MISSES = +(__ENV.HEARTBEAT_MAX_MISSES) || 3;
+// A server heart-beat counts as missed once nothing arrived for this many intervals
+const HEARTBEAT_GRACE  = 1.5;
+const WORKLOAD_FILE    = __ENV.WORKLOAD_FILE    || '';
+const SLO_FILE         = __ENV.SLO_FILE         || '';
+const SLO_REPORT       = __ENV.SLO_REPORT       || 'slo-report';
+const RUN_SUMMARY      = __ENV.RUN_SUMMARY !== undefined ? __ENV.RUN_SUMMARY : 'run-summary.json';
+const SLOS = SLO_FILE
+  ? parseSlos(JSON.parse(open(SLO_FILE)), {
+    abortOnFail: __ENV.SLO_ABORT_ON_FAIL ? __ENV.SLO_ABORT_ON_FAIL.toLowerCase() === 'true' : undefined,
+  })
+  : [];
+const MESSAGE_SIZES    = (__ENV.MESSAGE_SIZES || '').split(',').filter((x) => x.trim()).map((x) => +x);
+const PAYLOAD_KINDS    = parseKinds(__ENV.PAYLOAD_KINDS || 'ascii');
+
+// Persona defaults: how every VU behaved before workload profiles
+const PERSONA_DEFAULTS = {
+  share: 1,
+  sendIntervalMs: SEND_INTERVAL_MS,
+  messageSize: MESSAGE_SIZES.length ? { dist: 'choice', bytes: MESSAGE_SIZES } : { dist: 'fixed', bytes: 0 },
+  sessionTimeMs: SESSION_TIME_MS,
+  reconnectEveryMs: 0,
+  chatRefreshMs: CHAT_REFRESH_MS,
+  messagesPerChat: 1,
+};
+const WORKLOAD = WORKLOAD_FILE
+  ? parseWorkload(JSON.parse(open(WORKLOAD_FILE)), PERSONA_DEFAULTS)
+  : defaultWorkload(PERSONA_DEFAULTS);
+
+// Open model: R(t) from MESSAGE_RATE / MESSAGE_RATE_STAGES
+const RATE_MODE        = __ENV.MESSAGE_RATE !== undefined || !!__ENV.MESSAGE_RATE_STAGES;
+const RATE_START       = +(__ENV.MESSAGE_RATE) || 0;
+const RATE_STAGES      = parseRateStages(__ENV.MESSAGE_RATE_STAGES || '');
+// A persona's share of R(t) is proportional to 1/sendIntervalMs (lurkers get none);
+// dividing by the population mean keeps the total at R(t)
+const sendWeight = (persona) => (persona.sendIntervalMs > 0 ? 1 / persona.sendIntervalMs : 0);
+const MEAN_SEND_WEIGHT = WORKLOAD.personas.reduce((acc, p) => acc + p.share * sendWeight(p), 0);
+
+if (RATE_MODE && !(MEAN_SEND_WEIGHT > 0)) {
+  fail('MESSAGE_RATE needs at least one persona with sendIntervalMs > 0');
+}
 
 if (!API_KEY) {
   fail('Missing required env var: API_KEY (x-api-key used for signin)');
@@ -44,10 +140,74 @@ export const msgRTT              = new Trend('chat_message_rtt_ms');
 export const messagesReceived    = new Counter('messages_received_total');
 export const messagesSent        = new Counter('messages_sent_total');
 export const getChatReq          = new Counter('get_chat_req_total');
+export const ticketSuccess       = new Rate('get_ticket_success');
 export const undeliveredMessages = new Counter('undelivered_messages_total');
+// Per sent ping: true if its echo never came back before the session ended
+export const undeliveredRate     = new Rate('message_undelivered');
+export const malformedFrames     = new Counter('stomp_malformed_frame_count');
+// Receiver side: sender-to-receiver latency and fan-out completeness. Expected (sender) and
+// reached (receiver) carry the same chat_size + size_bucket tags, so reached/expected holds per sub-metric
+export const e2eLatency          = new Trend('chat_message_e2e_latency_ms');
+export const expectedRecipients  = new Counter('message_expected_recipients_total');
+export const reachedRecipients   = new Counter('message_recipients_reached_total');
+// Per (chat, sender) sequence checks on received pings
+export const outOfOrderMessages  = new Counter('message_out_of_order_total');
+export const duplicateMessages   = new Counter('message_duplicate_total');
+export const missingMessages     = new Counter('message_missing_total');
+export const outOfWindowMessages = new Counter('message_out_of_window_total');
+// RECONNECT mode
+export const reconnectTime       = new Trend('ws_reconnect_time_ms');
+export const reconnectAttempts   = new Counter('ws_reconnect_attempts_total');
+export const reconnectFailures   = new Counter('ws_reconnect_failed_total');
+export const reconnectLost       = new Counter('messages_lost_in_reconnect_total');
+// JWT refresh on 401 (long soaks outlive the signin JWT)
+export const jwtRefreshes        = new Counter('jwt_refresh_total');
+export const jwtRefreshFailures  = new Counter('jwt_refresh_failed_total');
+export const jwtRefreshTime      = new Trend('jwt_refresh_duration_ms');
+// MANIFEST_FILE mode: pings from chats/senders the manifest does not pair us with
+export const unexpectedMessages  = new Counter('message_unexpected_total');
+// SCHEMA_SAMPLE_RATE: sampled payloads that break their contract, tagged by contract;
+// MESSAGE bodies missing senderId / message always count
+export const schemaViolations    = new Counter('schema_violation');
+// MESSAGE_RATE mode: arrivals due while the VU could not send (not connected yet, no chats)
+export const droppedArrivals     = new Counter('message_arrivals_dropped_total');
+// Sized payloads: content that did not arrive byte-identical (reason: truncated|altered),
+// and the size of our last SEND when the server answered with a size/limit ERROR
+export const corruptedMessages   = new Counter('message_corrupted_total');
+export const rejectedSize        = new Trend('message_rejected_size_bytes');
+export const targetRate          = new Gauge('message_rate_target');
+// Connection setup, phase by phase. time_to_ready_ms runs from the first request of the
+// attempt to subscribed + chats loaded; tagged connection=cold (signin included) or warm (cached JWT).
+// stomp_subscribe_duration_ms needs the SUBSCRIBE receipt, so only with STOMP_RECEIPTS
+export const signinTime          = new Trend('signin_duration_ms');
+export const ticketTime          = new Trend('get_ticket_duration_ms');
+export const handshakeTime       = new Trend('ws_handshake_duration_ms');
+export const stompConnectTime    = new Trend('stomp_connect_duration_ms');
+export const subscribeTime       = new Trend('stomp_subscribe_duration_ms');
+export const firstChatsTime      = new Trend('first_get_chats_duration_ms');
+export const timeToReady         = new Trend('time_to_ready_ms');
+// RECEIPT frames: frame sent -> server acknowledged it, tagged frame=SEND|SUBSCRIBE
+// (and size_bucket for SEND); missing = none within RECEIPT_TIMEOUT_MS or before the close
+export const receiptLatency      = new Trend('stomp_receipt_latency_ms');
+export const missingReceipts     = new Counter('stomp_receipt_missing_total');
+// Server heart-beats: intervals that passed without any data, and connections we dropped
+// after HEARTBEAT_MAX_MISSES of them in a row (not counted in ws_error_count)
+export const missedHeartbeats    = new Counter('stomp_heartbeat_missed_total');
+export const heartbeatTimeouts   = new Counter('ws_heartbeat_timeout_total');
+
+const sampleContract = createContractSampler(SCHEMA_SAMPLE_RATE, schemaViolations);
+
+// Seed manifest, one entry per user index (null without MANIFEST_FILE)
+const manifestUsers = MANIFEST_FILE
+  ? new SharedArray('seed-manifest', () => indexManifest(JSON.parse(open(MANIFEST_FILE))))
+  : null;
 
 // Per-VU cached creds
 const userCreds = {};
+// Per-VU next sequence number per chatId (survives reconnects so receivers see one stream)
+const sendSeqs = {};
+// Per-VU sends so far, part of every ping nonce
+let sendCount = 0;
 // For teardown stats
 const globalPending = {};
 
@@ -59,6 +219,12 @@ export const options = {
     { duration: '3m', target: 0 },
   ],
   gracefulStop: '30s',
+  // k6 defaults, p(99) for whisp-compare.js, plus whatever the SLOs are judged on
+  summaryTrendStats: sloTrendStats(SLOS, ['avg', 'min', 'med', 'max', 'p(90)', 'p(95)', 'p(99)']),
+  // Makes the per-stage counts available to handleSummary
+  thresholds: sloThresholds(SLOS, RATE_MODE
+    ? Object.fromEntries(Array.from({ length: RATE_STAGES.length + 1 }, (_, i) => [`messages_sent_total{rate_stage:${i}}`, ['count>=0']]))
+    : {}),
 };
 
 function asBearer(token) {
@@ -70,47 +236,80 @@ function jsonHeaders(extra = {}) {
   return { 'Content-Type': 'application/json', ...extra };
 }
 
-function stompFrame(command, headers, body) {
-  let frame = `${command}\n`;
-  if (headers) {
-    for (const k in headers) frame += `${k}:${headers[k]}\n`;
-  }
-  frame += '\n';
-  if (body) frame += body;
-  frame += '\0';
-  return frame;
+function safeJson(s) {
+  try { return JSON.parse(s); } catch (_) { return null; }
+}
+
+// STOMP ERROR text of a frame the server refused for its size (Spring: "... exceeds the
+// configured message buffer size limit"); other ERRORs say nothing about payload size
+const SIZE_ERROR = /size|exceed|limit|too (large|big|long)/i;
+
+// Ping text: ping:<nonce>;t=<sentAtMs>;n=<chatSize>;s=<seq>, nonce = <sentAtMs>-<vu>-<n>
+// (n counts the VU's sends: two senders, or one in rate mode, can share a millisecond)
+// Carries what a receiving VU needs to time and order delivery without sharing state with the sender.
+function encodePing(nonce, sentAt, chatSize, seq) {
+  return `ping:${nonce};t=${sentAt};n=${chatSize};s=${seq}`;
+}
+
+// Sized ping: kind and target size ride along (k=, b=) so receivers can rebuild the
+// exact content; the filler goes in a trailing p= field, which decodePing ignores
+function sizedPing(ping, kind, bytes) {
+  return bytes > 0 ? makeContent(`${ping};k=${kind};b=${bytes}`, kind, bytes) : ping;
 }
 
-function parseStompFrame(raw) {
-  if (!raw) return null;
-  // Heartbeats are typically '\n'
-  if (raw === '\n') return { command: 'HEARTBEAT' };
-
-  let s = raw;
-  if (s.endsWith('\0')) s = s.slice(0, -1);
-
-  const splitIdx = s.indexOf('\n\n');
-  const head = splitIdx >= 0 ? s.slice(0, splitIdx) : s;
-  const body = splitIdx >= 0 ? s.slice(splitIdx + 2) : '';
-
-  const lines = head.split('\n');
-  const command = lines[0] || '';
-  const headers = {};
-  for (let i = 1; i < lines.length; i++) {
-    const line = lines[i];
-    if (!line) continue;
-    const idx = line.indexOf(':');
-    if (idx <= 0) continue;
-    const k = line.slice(0, idx);
-    const v = line.slice(idx + 1);
-    headers[k] = v;
+// Returns null when a sized ping arrived byte-identical, else 'truncated' or 'altered'
+function payloadDamage(text, ping) {
+  if (!ping.kind || !ping.bytes) return null;
+  const p = text.indexOf(';p=');
+  const expected = makeContent(p >= 0 ? text.slice(0, p) : text, ping.kind, ping.bytes);
+  if (text === expected) return null;
+  return expected.startsWith(text) ? 'truncated' : 'altered';
+}
+
+function decodePing(text) {
+  if (typeof text !== 'string') return null;
+  const m = text.match(/^ping:(\d+-\d+-\d+)((?:;\w+=[^;]*)*)$/);
+  if (!m) return null;
+
+  const fields = {};
+  for (const part of m[2].split(';')) {
+    const eq = part.indexOf('=');
+    if (eq > 0) fields[part.slice(0, eq)] = part.slice(eq + 1);
   }
+  return {
+    nonce: m[1],
+    sentAt: +fields.t || null,
+    chatSize: +fields.n || null,
+    seq: /^\d+$/.test(fields.s || '') ? +fields.s : null,
+    kind: fields.k || null,
+    bytes: +fields.b || null,
+  };
+}
 
-  return { command, headers, body };
+// Member count of a getChats entry, or null when the server leaves out `users`:
+// topologies create groups of any size, so there is no safe guess (use MANIFEST_FILE)
+function chatSize(chat) {
+  return Array.isArray(chat.users) ? chat.users.length : null;
 }
 
-function safeJson(s) {
-  try { return JSON.parse(s); } catch (_) { return null; }
+// Per VU: a MESSAGE without senderId / message is logged once
+let unreadableMessageWarned = false;
+
+function warnUnreadableMessage(vu, body) {
+  if (unreadableMessageWarned) return;
+  unreadableMessageWarned = true;
+  console.error(`VU${vu}: MESSAGE without senderId or message (counted in schema_violation): ` +
+    `${JSON.stringify(body).slice(0, 300)}`);
+}
+
+// Per VU: recipient metrics are skipped for chats of unknown size, said once
+let unknownSizeWarned = false;
+
+function warnUnknownSize(vu, chatId) {
+  if (unknownSizeWarned) return;
+  unknownSizeWarned = true;
+  console.warn(`VU${vu}: getChats gave no users for chat ${chatId}; not counting expected recipients ` +
+    'for chats of unknown size (run with MANIFEST_FILE for exact sizes)');
 }
 
 function buildWsUrlWithTicket(base, ticket) {
@@ -124,6 +323,7 @@ function loginAndGetJwtAndUserId(username) {
     JSON.stringify({ username, password: PASSWORD }),
     { headers: jsonHeaders({ 'x-api-key': API_KEY }) }
   );
+  signinTime.add(login.timings.duration);
 
   const ok = check(login, {
     'login ok (200)': (r) => r.status === 200,
@@ -133,117 +333,252 @@ function loginAndGetJwtAndUserId(username) {
   if (!ok) return null;
 
   const body = login.json();
+  sampleContract('signin', body);
   const jwtHdr = login.headers['Authorization'] || login.headers['authorization'];
   const userId = body?.id || body?.userId;
 
   if (!jwtHdr || !userId) return null;
 
-  return { userId, jwt: asBearer(jwtHdr) };
+  return { userId, jwt: asBearer(jwtHdr), refreshToken: body?.refreshToken || null };
 }
 
-function getTicket(jwt) {
-  const res = http.get(`${API_BASE_URL}/api/user/getTicket`, {
-    headers: { Authorization: jwt },
+// Same exchange as refreshJwt in whisp-e2e.js: refresh token as Bearer, old JWT in the body.
+// Updates creds.jwt in place; returns false if the refresh was rejected.
+function refreshJwt(creds) {
+  if (!creds.refreshToken) return false;
+
+  const res = http.post(
+    `${API_BASE_URL}/api/auth/refresh`,
+    JSON.stringify({ expiredJwt: creds.jwt }),
+    { headers: jsonHeaders({ Authorization: asBearer(creds.refreshToken) }) }
+  );
+  jwtRefreshTime.add(res.timings.duration);
+
+  const jwtHdr = res.headers['Authorization'] || res.headers['authorization'];
+  const ok = check(res, {
+    'refresh ok (200)': (r) => r.status === 200,
+    'refresh returns Authorization header': () => !!jwtHdr,
   });
+  if (!ok) {
+    jwtRefreshFailures.add(1);
+    console.error(`refresh failed ${res.status} body: ${res.body}`);
+    return false;
+  }
+
+  jwtRefreshes.add(1);
+  creds.jwt = asBearer(jwtHdr);
+  return true;
+}
+
+// GET with the current JWT; on 401 refreshes it once and retries
+function authedGet(creds, path) {
+  const url = `${API_BASE_URL}${path}`;
+  const res = http.get(url, { headers: { Authorization: creds.jwt } });
+  if (res.status !== 401 || !refreshJwt(creds)) return res;
+  return http.get(url, { headers: { Authorization: creds.jwt } });
+}
+
+function getTicket(creds) {
+  // Wall clock: a JWT refresh on the way is part of what the ticket costs
+  const started = Date.now();
+  const res = authedGet(creds, '/api/user/getTicket');
+  ticketTime.add(Date.now() - started);
   const ok = check(res, { 'getTicket ok (200)': (r) => r.status === 200 });
+  const body = ok ? res.json() : null;
+  ticketSuccess.add(!!(body && body.ticket));
   if (!ok) return null;
 
-  const body = res.json();
+  sampleContract('getTicket', body);
   return body?.ticket || null;
 }
 
-function getChats(jwt) {
-  const res = http.get(`${API_BASE_URL}/api/chat/getChats`, {
-    headers: { Authorization: jwt },
-  });
+function getChats(creds) {
+  const res = authedGet(creds, '/api/chat/getChats');
   getChatReq.add(1);
 
   const ok = check(res, { 'getChats ok (200)': (r) => r.status === 200 });
   if (!ok) return [];
 
   const body = res.json();
+  sampleContract('getChats', body);
   if (!body || !Array.isArray(body.chats)) return [];
-  return body.chats.map((c) => c.chatId).filter((x) => !!x);
+  return body.chats.filter((c) => c && c.chatId).map((c) => ({ chatId: c.chatId, size: chatSize(c) }));
 }
 
-export default function () {
-  const vu = __VU;
-  const username = `${USER_PREFIX}${vu}`;
-
-  // Ensure creds (login) per VU
-  if (!userCreds[vu]) {
-    const creds = loginAndGetJwtAndUserId(username);
-    if (!creds) {
-      wsErrors.add(1);
-      console.error(`VU${vu}: signin failed for ${username}`);
-      return;
-    }
-    userCreds[vu] = creds;
-  }
-
-  const { userId, jwt } = userCreds[vu];
-
-  // Ticket is intentionally fetched per connection attempt (ticket TTLs are often short)
-  const ticket = getTicket(jwt);
-  if (!ticket) {
-    wsErrors.add(1);
-    console.error(`VU${vu}: getTicket failed`);
-    return;
-  }
-
+// Opens one WebSocket + STOMP connection and runs it until it closes.
+// Returns { res, closedByUs, rotated } so the caller can decide whether to reconnect;
+// rotated means we closed it for the persona's reconnectEveryMs, not for the session end.
+// A heart-beat timeout is neither: the caller treats it like any other drop.
+function runConnection(session, ticket) {
+  const { vu, userId, creds, pending, seqTracker } = session;
   const url = buildWsUrlWithTicket(WS_URL, ticket);
-  const pending = {};
-  globalPending[vu] = pending;
+  const jwt = creds.jwt;
+  let closedByUs = false;
+  let rotated = false;
+  const { persona } = session;
+  const connectStarted = Date.now();
 
   const res = ws.connect(url, { headers: { Authorization: jwt } }, (socket) => {
     let state = 'CONNECTING';
-    let chatIds = [];
-
-    // STOMP CONNECT and SUBSCRIBE frames
+    let chats = [];
+    const decoder = createStompDecoder();
+    // Setup phases of this connection
+    let connectSentAt = 0;
+    let subscribeReceipt = null;
+    let subscribed = false;
+    let chatsLoaded = false;
+    let ready = false;
+    let lastReceivedAt = Date.now();
+
+    // Receipts awaited on this connection: receipt-id -> { sentAt, tags }
+    const receipts = {};
+    let receiptSeq = 0;
+
+    // STOMP CONNECT frame
+    const heartbeatOffer = `${HEARTBEAT_MS},${HEARTBEAT_MS}`;
     const connect = stompFrame('CONNECT', {
       'accept-version': '1.2',
-      'heart-beat': '10000,10000',
+      'heart-beat': heartbeatOffer,
       // Most servers expect exactly this header key/value format
       'Authorization': jwt,
     });
 
-    const subscribe = stompFrame('SUBSCRIBE', {
-      id: `sub-${vu}`,
-      destination: `/user/${userId}/queue/messages`,
-    });
+    function requestReceipt(tags) {
+      const id = `${vu}-${session.connections}-${++receiptSeq}`;
+      receipts[id] = { sentAt: Date.now(), tags };
+      return id;
+    }
+
+    function expireReceipts(olderThanMs) {
+      const now = Date.now();
+      for (const id in receipts) {
+        if (now - receipts[id].sentAt < olderThanMs) continue;
+        missingReceipts.add(1, { frame: receipts[id].tags.frame });
+        delete receipts[id];
+      }
+    }
+
+    // Any inbound data counts as a server heart-beat (STOMP 1.2)
+    function startHeartbeats(serverHeader) {
+      const { outgoing, incoming } = negotiateHeartbeat(heartbeatOffer, serverHeader);
+      if (outgoing > 0) socket.setInterval(() => socket.send('\n'), outgoing);
+      if (incoming > 0) {
+        let misses = 0;
+        socket.setInterval(() => {
+          if (Date.now() - lastReceivedAt <= incoming * HEARTBEAT_GRACE) {
+            misses = 0;
+            return;
+          }
+          missedHeartbeats.add(1);
+          if (++misses < HEARTBEAT_MAX_MISSES) return;
+          heartbeatTimeouts.add(1);
+          console.warn(`VU${vu}: no data from the server for ${Date.now() - lastReceivedAt} ms ` +
+            `(heart-beat every ${incoming} ms), dropping the connection`);
+          socket.close();
+        }, incoming);
+      }
+    }
+
+    function markReady() {
+      if (ready || !subscribed || !chatsLoaded) return;
+      ready = true;
+      timeToReady.add(Date.now() - session.setupStartedAt, { connection: session.coldStart ? 'cold' : 'warm' });
+    }
 
     function refreshChats() {
-      chatIds = getChats(jwt);
+      if (session.plannedChats) {
+        chats = session.plannedChats;
+      } else if (chatsLoaded) {
+        chats = getChats(creds);
+      } else {
+        const started = Date.now();
+        chats = getChats(creds);
+        firstChatsTime.add(Date.now() - started);
+      }
+      if (!chatsLoaded) {
+        chatsLoaded = true;
+        markReady();
+      }
     }
 
     socket.on('open', () => {
+      handshakeTime.add(Date.now() - connectStarted);
+      connectSentAt = Date.now();
       socket.send(connect);
-      // Close after SESSION_TIME_MS so iterations do not create unbounded connections
-      socket.setTimeout(SESSION_TIME_MS, () => socket.close());
+      // Close when the session ends so iterations do not create unbounded connections
+      socket.setTimeout(() => {
+        closedByUs = true;
+        socket.close();
+      }, Math.max(0, session.endsAt - Date.now()));
+      if (persona.reconnectEveryMs > 0 && Date.now() + persona.reconnectEveryMs < session.endsAt) {
+        socket.setTimeout(() => {
+          rotated = true;
+          socket.close();
+        }, persona.reconnectEveryMs);
+      }
     });
 
-    socket.on('message', (msg) => {
-      const raw = msg.toString();
-      const frame = parseStompFrame(raw);
-      if (!frame) return;
+    function handleFrame(frame) {
+      if (frame.command === HEARTBEAT) return;
+
+      if (frame.command === MALFORMED) {
+        malformedFrames.add(1);
+        console.error(`VU${vu}: malformed STOMP frame (${frame.error}): ${JSON.stringify(frame.raw)}`);
+        return;
+      }
 
       if (frame.command === 'CONNECTED') {
+        stompConnectTime.add(Date.now() - connectSentAt);
         state = 'CHATTING';
-        socket.send(subscribe);
+        startHeartbeats(frame.headers['heart-beat']);
+        if (session.droppedAt !== null) {
+          reconnectTime.add(Date.now() - session.droppedAt);
+          session.droppedAt = null;
+          session.attempts = 0;
+        }
+        // The receipt confirms the subscription, which is when messages can start arriving;
+        // without receipts, sending SUBSCRIBE is as close as we get
+        subscribeReceipt = STOMP_RECEIPTS ? requestReceipt({ frame: 'SUBSCRIBE' }) : null;
+        socket.send(stompFrame('SUBSCRIBE', {
+          id: `sub-${vu}`,
+          destination: `/user/${userId}/queue/messages`,
+          receipt: subscribeReceipt,
+        }));
+        subscribed = !subscribeReceipt;
 
         // initial chat list
         refreshChats();
 
-        // optional periodic refresh
-        if (CHAT_REFRESH_MS > 0) {
-          socket.setInterval(() => refreshChats(), CHAT_REFRESH_MS);
+        // optional periodic refresh (the manifest's chats do not change)
+        if (persona.chatRefreshMs > 0 && !session.plannedChats) {
+          socket.setInterval(() => refreshChats(), persona.chatRefreshMs);
+        }
+        return;
+      }
+
+      if (frame.command === 'RECEIPT') {
+        const id = frame.headers['receipt-id'];
+        const r = receipts[id];
+        if (!r) return; // already counted as missing
+        delete receipts[id];
+        const elapsed = Date.now() - r.sentAt;
+        receiptLatency.add(elapsed, r.tags);
+        if (id === subscribeReceipt) {
+          subscribeTime.add(elapsed);
+          subscribed = true;
+          markReady();
         }
         return;
       }
 
       if (frame.command === 'ERROR') {
         stompErrors.add(1);
-        console.error(`VU${vu}: STOMP ERROR frame: ${frame.body || raw}`);
+        // Answered, if not the way we hoped: not a missing receipt
+        delete receipts[frame.headers['receipt-id']];
+        if (session.lastSentBytes && SIZE_ERROR.test(`${frame.headers.message || ''} ${frame.body}`)) {
+          rejectedSize.add(session.lastSentBytes);
+        }
+        console.error(`VU${vu}: STOMP ERROR frame: ${frame.headers.message || ''} ${frame.body}`);
         return;
       }
 
@@ -253,23 +588,53 @@ export default function () {
       if (!body) return;
 
       messagesReceived.add(1);
+      // Checked on every MESSAGE, whatever SCHEMA_SAMPLE_RATE: a renamed field must not
+      // pass as "no ping" in a load run
+      if (!body.senderId || typeof body.message !== 'string') {
+        schemaViolations.add(1, { contract: 'stompMessage' });
+        warnUnreadableMessage(vu, body);
+        return;
+      }
+      sampleContract('stompMessage', body);
 
-      // Try to compute RTT for our pings (only if message originates from this VU)
-      const msgText = body.message || body.content || '';
-      const senderId = body.senderId || body.senderID || body.fromUserId;
-
-      // Expect message format ping:<nonce>
-      if (typeof msgText === 'string') {
-        const m = msgText.match(/^ping:(\d+)$/);
-        if (m && `${senderId}` === `${userId}`) {
-          const nonce = m[1];
-          const start = pending[nonce];
-          if (start !== undefined) {
-            msgRTT.add(Date.now() - start);
-            delete pending[nonce];
-          }
+      const msgText = body.message;
+      const senderId = body.senderId;
+      const ping = decodePing(msgText);
+      if (!ping) return;
+
+      if (ping.seq !== null) seqTracker.observe(body.chatId, senderId, ping.seq);
+
+      const size = { size_bucket: sizeBucket(utf8Length(msgText)) };
+      const damage = payloadDamage(msgText, ping);
+      if (damage) {
+        corruptedMessages.add(1, { ...size, reason: damage, kind: ping.kind });
+        console.error(`VU${vu}: ${ping.kind} message of ${ping.bytes} bytes arrived ${damage} (${utf8Length(msgText)} bytes)`);
+      }
+
+      // Our own ping echoed back: server RTT
+      if (`${senderId}` === `${userId}`) {
+        const start = pending[ping.nonce];
+        if (start !== undefined) {
+          msgRTT.add(Date.now() - start, size);
+          undeliveredRate.add(false);
+          delete pending[ping.nonce];
         }
+        return;
       }
+
+      // Someone else's ping: what a chat member actually waits for
+      if (session.plannedChats && !isExpectedSender(session.plannedChats, body.chatId, senderId)) {
+        unexpectedMessages.add(1);
+      }
+      const tags = { chat_size: `${ping.chatSize || 'unknown'}`, ...size };
+      // Sender did not know the chat size, so it counted no expected recipients either
+      if (ping.chatSize) reachedRecipients.add(1, tags);
+      if (ping.sentAt) e2eLatency.add(Date.now() - ping.sentAt, tags);
+    }
+
+    socket.on('message', (msg) => {
+      lastReceivedAt = Date.now();
+      for (const frame of decoder.push(msg.toString())) handleFrame(frame);
     });
 
     socket.on('error', (e) => {
@@ -278,40 +643,214 @@ export default function () {
     });
 
     socket.on('close', () => {
-      // no-op: teardown aggregates pending
+      // The session decides whether to reconnect; receipts still outstanding are lost
+      expireReceipts(0);
     });
 
-    // Send loop
-    socket.setInterval(() => {
-      if (state !== 'CHATTING') return;
-      if (!chatIds.length) return;
+    socket.setInterval(() => expireReceipts(RECEIPT_TIMEOUT_MS), 1000);
 
-      const cid = chatIds[Math.floor(Math.random() * chatIds.length)];
+    // Stays on one chat for persona.messagesPerChat messages, then picks another
+    function nextChat() {
+      const current = chats.find((c) => c.chatId === session.chatId);
+      if (current && session.chatSends < persona.messagesPerChat) {
+        session.chatSends++;
+        return current;
+      }
+      const chat = chats[Math.floor(Math.random() * chats.length)];
+      session.chatId = chat.chatId;
+      session.chatSends = 1;
+      return chat;
+    }
+
+    function sendOne(tags) {
+      const chat = nextChat();
       const ts = Date.now();
-      const nonce = `${ts}`;
+      const nonce = `${ts}-${vu}-${++sendCount}`;
+
+      const seqs = sendSeqs[vu] || (sendSeqs[vu] = {});
+      const seq = seqs[chat.chatId] || 0;
+      seqs[chat.chatId] = seq + 1;
 
       pending[nonce] = ts;
 
+      const kind = PAYLOAD_KINDS[Math.floor(Math.random() * PAYLOAD_KINDS.length)];
+      const message = sizedPing(encodePing(nonce, ts, chat.size || '', seq), kind, session.messageSize());
+      session.lastSentBytes = utf8Length(message);
+
       const payloadObj = {
         type: 'SEND_MSG',
         senderId: userId,
-        chatId: cid,
-        message: `ping:${nonce}`,
+        chatId: chat.chatId,
+        message,
         timeStamp: new Date(ts).toISOString(),
       };
 
+      const sizeTag = sizeBucket(session.lastSentBytes);
       const body = JSON.stringify(payloadObj);
       const frame = stompFrame('SEND', {
         destination: '/api/chat',
         'content-type': 'application/json',
+        receipt: STOMP_RECEIPTS ? requestReceipt({ frame: 'SEND', size_bucket: sizeTag }) : undefined,
       }, body);
 
       socket.send(frame);
-      messagesSent.add(1);
-    }, SEND_INTERVAL_MS);
+      messagesSent.add(1, { ...tags, size_bucket: sizeTag });
+      if (SENT_LOG) {
+        console.log(formatRecord('SENT', {
+          chatId: chat.chatId, senderId: userId, username: session.username, nonce, seq, timeStamp: payloadObj.timeStamp,
+        }));
+      }
+      if (chat.size) expectedRecipients.add(chat.size - 1, { chat_size: `${chat.size}`, size_bucket: sizeTag });
+      else warnUnknownSize(vu, chat.chatId);
+    }
+
+    // Open model: Poisson arrivals at this VU's share of R(t), re-evaluated after every arrival
+    function scheduleArrival() {
+      const elapsed = Date.now() - exec.scenario.startTime;
+      const globalRate = rateAt(RATE_STAGES, RATE_START, elapsed);
+      const vuRate = (globalRate * sendWeight(persona)) / (MEAN_SEND_WEIGHT * Math.max(1, exec.instance.vusActive));
+      targetRate.add(globalRate);
+      if (!(vuRate > 0)) {
+        socket.setTimeout(scheduleArrival, 1000);
+        return;
+      }
+      socket.setTimeout(() => {
+        const stage = stageAt(RATE_STAGES, Date.now() - exec.scenario.startTime);
+        if (state === 'CHATTING' && chats.length) sendOne({ rate_stage: `${stage}` });
+        else droppedArrivals.add(1);
+        scheduleArrival();
+      }, nextArrivalDelay(vuRate));
+    }
+
+    // Send loop (lurkers never send)
+    if (RATE_MODE) {
+      if (sendWeight(persona) > 0) scheduleArrival();
+    } else if (persona.sendIntervalMs > 0) {
+      socket.setInterval(() => {
+        if (state !== 'CHATTING') return;
+        if (!chats.length) return;
+        sendOne();
+      }, persona.sendIntervalMs);
+    }
   });
 
-  check(res, { 'WS handshake status is 101': (r) => r && r.status === 101 });
+  return { res, closedByUs, rotated };
+}
+
+function isExpectedSender(plannedChats, chatId, senderId) {
+  const chat = plannedChats.find((c) => c.chatId === chatId);
+  return !!chat && chat.peers.indexOf(`${senderId}`) >= 0;
+}
+
+// Exponential backoff with full jitter, in seconds for k6 sleep()
+function reconnectBackoff(attempt) {
+  const cap = Math.min(RECONNECT_BACKOFF_MAX_MS, RECONNECT_BACKOFF_MS * 2 ** (attempt - 1));
+  return (Math.random() * cap) / 1000;
+}
+
+export default function () {
+  const vu = __VU;
+  const username = `${USER_PREFIX}${vu}`;
+  const persona = personaForVu(WORKLOAD, vu);
+  // Tags every metric this VU emits, built-in ones included
+  exec.vu.metrics.tags.persona = persona.name;
+
+  const setupStartedAt = Date.now();
+  const coldStart = !userCreds[vu];
+
+  // Ensure creds (login) per VU
+  if (!userCreds[vu]) {
+    const creds = loginAndGetJwtAndUserId(username);
+    if (!creds) {
+      wsErrors.add(1);
+      console.error(`VU${vu}: signin failed for ${username}`);
+      return;
+    }
+    userCreds[vu] = creds;
+  }
+
+  const creds = userCreds[vu];
+  const { userId } = creds;
+  const planned = manifestUsers && vu <= manifestUsers.length ? manifestUsers[vu - 1] : null;
+  if (manifestUsers && (!planned || planned.userId !== userId)) {
+    console.warn(`VU${vu}: ${username} does not match the seed manifest, falling back to getChats`);
+  }
+  const pending = {};
+  globalPending[vu] = pending;
+
+  // One session per iteration; with RECONNECT it may span several connections
+  const session = {
+    vu,
+    username,
+    userId,
+    creds,
+    persona,
+    messageSize: createSizeSampler(persona.messageSize),
+    chatId: null,   // chat the persona is currently sending to
+    chatSends: 0,
+    lastSentBytes: 0, // UTF-8 size of the last SEND, blamed if the server answers with a size ERROR
+    pending,
+    seqTracker: createSeqTracker({
+      outOfOrder: outOfOrderMessages,
+      duplicate: duplicateMessages,
+      missing: missingMessages,
+      outOfWindow: outOfWindowMessages,
+      reconnectLost,
+    }),
+    // From the seed manifest: [{ chatId, size, peers }]; null means poll getChats
+    plannedChats: planned && planned.userId === userId ? planned.chats : null,
+    endsAt: Date.now() + persona.sessionTimeMs,
+    droppedAt: null,
+    attempts: 0,
+    connections: 0,     // connection attempts so far
+    setupStartedAt,     // start of the current attempt, for time_to_ready_ms
+    coldStart,          // the current attempt included signin
+  };
+
+  for (;;) {
+    if (session.connections > 0) {
+      session.setupStartedAt = Date.now();
+      session.coldStart = false;
+    }
+    // Ticket is intentionally fetched per connection attempt (ticket TTLs are often short)
+    const ticket = getTicket(creds);
+    session.connections++;
+    if (ticket) {
+      const { res, closedByUs, rotated } = runConnection(session, ticket);
+      check(res, { 'WS handshake status is 101': (r) => r && r.status === 101 });
+      if (closedByUs) break;
+      if (rotated) {
+        // Planned reconnect: timed like a drop, but no backoff and no attempt count
+        session.droppedAt = Date.now();
+        session.seqTracker.markReconnect();
+        continue;
+      }
+    } else {
+      wsErrors.add(1);
+      console.error(`VU${vu}: getTicket failed`);
+    }
+
+    if (!RECONNECT || Date.now() >= session.endsAt) break;
+
+    // Dropped (or never connected): fetch a fresh ticket and try again
+    if (session.droppedAt === null) {
+      session.droppedAt = Date.now();
+      session.seqTracker.markReconnect();
+    }
+    session.attempts++;
+    if (session.attempts > RECONNECT_MAX_ATTEMPTS) {
+      reconnectFailures.add(1);
+      console.error(`VU${vu}: giving up after ${RECONNECT_MAX_ATTEMPTS} reconnect attempts`);
+      break;
+    }
+    reconnectAttempts.add(1);
+    sleep(reconnectBackoff(session.attempts));
+  }
+
+  // Gaps still open at the end of the session were never filled
+  session.seqTracker.flushMissing();
+  // Pings still waiting for their echo now will not get one
+  Object.keys(pending).forEach(() => undeliveredRate.add(true));
 
   // Keep the VU alive a bit so ramp-down has time to drain
   sleep(1);
@@ -325,3 +864,76 @@ export function teardown() {
   undeliveredMessages.add(total);
   console.log(`Total undelivered ping messages (no echo observed): ${total}`);
 }
+
+// MESSAGE_RATE mode: target vs achieved message rate per rate stage
+function rateReport(data) {
+  const runMs = data.state.testRunDurationMs;
+  const lines = ['', 'message arrival rate (target vs achieved):'];
+  let start = 0;
+  let totalTarget = 0;
+  let totalSent = 0;
+
+  for (let i = 0; i <= RATE_STAGES.length; i++) {
+    const end = i < RATE_STAGES.length ? Math.min(runMs, start + RATE_STAGES[i].durationMs) : runMs;
+    if (end <= start) break;
+    const target = expectedArrivals(RATE_STAGES, RATE_START, start, end);
+    const m = data.metrics[`messages_sent_total{rate_stage:${i}}`];
+    const sent = m ? m.values.count : 0;
+    const secs = (end - start) / 1000;
+    const pct = target > 0 ? ` (${((100 * sent) / target).toFixed(1)}%)` : '';
+    lines.push(`  stage ${i}  ${(start / 1000).toFixed(0)}s-${(end / 1000).toFixed(0)}s  ` +
+      `target ${(target / secs).toFixed(1)}/s  achieved ${(sent / secs).toFixed(1)}/s${pct}`);
+    totalTarget += target;
+    totalSent += sent;
+    start = end;
+  }
+
+  const pct = totalTarget > 0 ? ` (${((100 * totalSent) / totalTarget).toFixed(1)}%)` : '';
+  lines.push(`  total    target ${totalTarget.toFixed(0)} messages  achieved ${totalSent}${pct}`);
+  return `${lines.join('\n')}\n`;
+}
+
+// Settings that make two runs comparable (or not), for RUN_SUMMARY
+function runConfig() {
+  return {
+    TOTAL_USERS,
+    SEND_INTERVAL_MS,
+    SESSION_TIME_MS,
+    CHAT_REFRESH_MS,
+    RECONNECT,
+    MANIFEST_FILE: MANIFEST_FILE || null,
+    WORKLOAD_FILE: WORKLOAD_FILE || null,
+    MESSAGE_SIZES: MESSAGE_SIZES.join(',') || null,
+    PAYLOAD_KINDS: PAYLOAD_KINDS.join(','),
+    MESSAGE_RATE: RATE_MODE ? RATE_START : null,
+    MESSAGE_RATE_STAGES: __ENV.MESSAGE_RATE_STAGES || null,
+    stages: options.stages,
+  };
+}
+
+export function handleSummary(data) {
+  let text = textSummary(data, { indent: ' ', enableColors: true });
+  if (RATE_MODE) text += rateReport(data);
+  const out = {};
+
+  if (SLOS.length) {
+    const report = sloReport(SLOS, data);
+    const sloText = formatSloReport(report);
+    text += sloText;
+    out[`${SLO_REPORT}.json`] = JSON.stringify(report, null, 2);
+    out[`${SLO_REPORT}.txt`] = sloText;
+  }
+  if (RUN_SUMMARY) {
+    out[RUN_SUMMARY] = JSON.stringify(runSummary(data, {
+      script: 'k6-ws-new.js',
+      label: __ENV.RUN_LABEL,
+      gitCommit: __ENV.GIT_COMMIT,
+      apiBaseUrl: API_BASE_URL,
+      wsUrl: WS_URL,
+      config: runConfig(),
+    }), null, 2);
+  }
+
+  out.stdout = text;
+  return out;
+}
@@ -0,0 +1,84 @@
+// Open-model message arrival schedule for k6-ws-new.js
+//
+// The global message rate R(t) (messages/second, all VUs together) starts at
+// `startRate` and ramps linearly through stages, like k6's ramping-arrival-rate:
+//
+//   parseRateStages('1m:800,3m:800,30s:0') -> [{ durationMs, target }]
+//
+// After the last stage R(t) stays at its final target. Each VU sends as a
+// Poisson process with its share of R(t); independent Poisson senders add up to
+// a Poisson stream of rate R(t), whatever the number of connections.
+
+const UNIT_MS = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+
+// '1m30s' -> 90000; bare numbers are seconds
+export function parseDuration(s) {
+  const str = `${s}`.trim();
+  if (/^\d+(\.\d+)?$/.test(str)) return +str * 1000;
+
+  let total = 0;
+  const rest = str.replace(/(\d+(?:\.\d+)?)(ms|s|m|h)/g, (_, n, unit) => {
+    total += +n * UNIT_MS[unit];
+    return '';
+  });
+  if (rest || !str) throw new Error(`invalid duration "${s}"`);
+  return total;
+}
+
+export function parseRateStages(spec) {
+  if (!spec) return [];
+  return spec.split(',').map((part) => {
+    const [duration, target] = part.split(':').map((x) => x && x.trim());
+    if (!duration || target === undefined || !(+target >= 0)) {
+      throw new Error(`invalid rate stage "${part}" (expected <duration>:<messages/s>)`);
+    }
+    return { durationMs: parseDuration(duration), target: +target };
+  });
+}
+
+// Index of the stage running at `elapsedMs`; stages.length once they are over
+export function stageAt(stages, elapsedMs) {
+  let end = 0;
+  for (let i = 0; i < stages.length; i++) {
+    end += stages[i].durationMs;
+    if (elapsedMs < end) return i;
+  }
+  return stages.length;
+}
+
+// R(t) in messages/second
+export function rateAt(stages, startRate, elapsedMs) {
+  let from = startRate;
+  let t = Math.max(0, elapsedMs);
+  for (const st of stages) {
+    if (t < st.durationMs) return from + ((st.target - from) * t) / st.durationMs;
+    t -= st.durationMs;
+    from = st.target;
+  }
+  return from;
+}
+
+// Integral of R(t) over [fromMs, toMs): how many messages the schedule asks for
+export function expectedArrivals(stages, startRate, fromMs, toMs) {
+  const points = [fromMs, toMs];
+  let end = 0;
+  for (const st of stages) {
+    end += st.durationMs;
+    if (end > fromMs && end < toMs) points.push(end);
+  }
+  points.sort((a, b) => a - b);
+
+  let total = 0;
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    // R is linear between stage boundaries, so the trapezoid rule is exact
+    total += ((rateAt(stages, startRate, a) + rateAt(stages, startRate, b)) / 2) * ((b - a) / 1000);
+  }
+  return total;
+}
+
+// Exponential inter-arrival time in ms for a Poisson process of `ratePerSec`
+export function nextArrivalDelay(ratePerSec, rng = Math.random) {
+  return (-Math.log(1 - rng()) / ratePerSec) * 1000;
+}
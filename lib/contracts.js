@@ -0,0 +1,162 @@
+// Payload contracts for the Whisp REST responses and STOMP MESSAGE bodies
+//
+// Shared by whisp-e2e.js (Node, via require; lib/package.json marks lib/ as ES
+// modules) and the k6 scripts. Contracts are plain JSON Schema, restricted to
+// the subset that validate() understands:
+//   type (string or array; 'integer' too), required, properties,
+//   additionalProperties (boolean), items, enum, minLength, $ref ('#/definitions/<name>'),
+//   and the boolean schema false (the property must not be there)
+//
+// Every field a client reads is required. Known aliases of a field (senderID /
+// fromUserId for senderId, message for content, ...) are rejected outright with
+// the boolean schema `false`, so a rename fails loudly instead of reading as a
+// missing optional field. Other extra fields pass.
+
+// The mock hands out string ids; a numeric id is just as usable to the clients
+const id = { type: ['string', 'integer'], minLength: 1 };
+const ref = (name) => ({ $ref: `#/definitions/${name}` });
+const object = (required, properties) => ({ type: 'object', required, properties });
+const renamed = (...aliases) => Object.fromEntries(aliases.map((a) => [a, false]));
+
+export const definitions = {
+  user: object(['id'], {
+    id,
+    username: { type: 'string', minLength: 1 },
+    firstName: { type: 'string' },
+    surName: { type: 'string' },
+    email: { type: 'string' },
+    ...renamed('userId', 'userID', 'user_id'),
+  }),
+  chat: object(['chatId'], {
+    chatId: id,
+    chatName: { type: 'string' },
+    users: { type: 'array', items: id },
+    ...renamed('chatID', 'chat_id'),
+  }),
+  storedMessage: object(['senderId', 'content', 'timeStamp'], {
+    messageId: id,
+    chatId: id,
+    senderId: id,
+    content: { type: 'string' },
+    timeStamp: { type: 'string', minLength: 1 },
+    ...renamed('senderID', 'fromUserId', 'message', 'timestamp'),
+  }),
+};
+
+// { id } of the user an auth / account call acted on
+const userAck = object(['id'], { id, ...renamed('userId', 'userID', 'user_id') });
+
+// One entry per REST endpoint (success body) plus the STOMP MESSAGE body
+export const contracts = {
+  registerUser: ref('user'),
+  signin: {
+    allOf: [ref('user'), object(['refreshToken'], { refreshToken: { type: 'string', minLength: 1 } })],
+  },
+  getUser: ref('user'),
+  changeUsername: ref('user'),
+  deleteUser: userAck,
+  getTicket: object(['ticket'], { ticket: { type: 'string', minLength: 1 } }),
+  refresh: userAck,
+  logout: userAck,
+  logoutAll: userAck,
+  createChat: ref('chat'),
+  getChats: object(['chats'], { chats: { type: 'array', items: ref('chat') } }),
+  getUsers: object(['users'], { users: { type: 'array', items: ref('user') } }),
+  addUser: ref('chat'),
+  removeUser: ref('chat'),
+  changeName: ref('chat'),
+  deleteChat: object(['chatId'], { chatId: id, ...renamed('chatID', 'chat_id') }),
+  getMessages: object(['messages'], { messages: { type: 'array', items: ref('storedMessage') } }),
+  stompMessage: object(['type', 'messageId', 'chatId', 'senderId', 'message'], {
+    type: { enum: ['SEND_MSG'] },
+    messageId: id,
+    chatId: id,
+    senderId: id,
+    message: { type: 'string' },
+    timeStamp: { type: 'string', minLength: 1 },
+    ...renamed('senderID', 'fromUserId', 'content', 'timestamp'),
+  }),
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  return typeOf(value) === type;
+}
+
+function check(schema, value, path, errors) {
+  if (schema === false) {
+    errors.push(`${path}: not allowed (renamed field?)`);
+    return;
+  }
+  if (schema.$ref) {
+    const name = schema.$ref.replace('#/definitions/', '');
+    if (!definitions[name]) throw new Error(`unknown contract $ref ${schema.$ref}`);
+    return check(definitions[name], value, path, errors);
+  }
+  if (schema.allOf) {
+    for (const s of schema.allOf) check(s, value, path, errors);
+  }
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((t) => matchesType(value, t))) {
+      errors.push(`${path}: expected ${types.join('|')}, got ${typeOf(value)}`);
+      return;
+    }
+  }
+  if (schema.enum && schema.enum.indexOf(value) < 0) {
+    errors.push(`${path}: expected one of ${JSON.stringify(schema.enum)}, got ${JSON.stringify(value)}`);
+  }
+  if (schema.minLength !== undefined && typeof value === 'string' && value.length < schema.minLength) {
+    errors.push(`${path}: shorter than ${schema.minLength}`);
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}.${key}: missing`);
+    }
+    const props = schema.properties || {};
+    for (const key of Object.keys(value)) {
+      if (Object.prototype.hasOwnProperty.call(props, key)) check(props[key], value[key], `${path}.${key}`, errors);
+      else if (schema.additionalProperties === false) errors.push(`${path}.${key}: not allowed`);
+    }
+  }
+
+  if (schema.items && Array.isArray(value)) {
+    value.forEach((v, i) => check(schema.items, v, `${path}[${i}]`, errors));
+  }
+}
+
+// Returns the violations of `value` against contract `name` ([] when it conforms)
+export function validate(name, value) {
+  const schema = contracts[name];
+  if (!schema) throw new Error(`unknown contract ${name}`);
+  const errors = [];
+  check(schema, value, '$', errors);
+  return errors;
+}
+
+// k6: validates roughly `rate` (0..1) of the payloads passed to it and counts
+// violating ones on `counter`, tagged by contract. Logs the first violation
+// of each contract per VU. Returns the violations, or null when not sampled.
+export function createContractSampler(rate, counter) {
+  const logged = {};
+  return function sample(name, value) {
+    if (!(rate > 0) || Math.random() >= rate) return null;
+    const errors = validate(name, value);
+    if (errors.length) {
+      counter.add(1, { contract: name });
+      if (!logged[name]) {
+        logged[name] = true;
+        console.error(`contract ${name} violated: ${errors.slice(0, 5).join('; ')}`);
+      }
+    }
+    return errors;
+  };
+}
@@ -0,0 +1,61 @@
+// Seeding manifest: whisp-manifest.js writes it from the records k6-init-new.js
+// logs, k6-ws-new.js reads it
+//
+// File format (JSON):
+//   {
+//     version:    1,
+//     createdAt:  ISO timestamp,
+//     apiBaseUrl: host the ids belong to,
+//     userPrefix: USER_PREFIX of the run,
+//     topology:   plan id from lib/topology.js,
+//     users: [{ index, username, userId }],            // index n <-> `${userPrefix}${n}`
+//     chats: [{ chatId, name, members: [index, ...] }],   // chatId as returned by createChat
+//   }
+
+export const MANIFEST_VERSION = 1;
+
+// `run` is the SEED_RUN record ({ apiBaseUrl, userPrefix, topology }), `users` and
+// `chats` the SEED_USER / SEED_CHAT records
+export function createManifest(run, users, chats) {
+  return {
+    version: MANIFEST_VERSION,
+    createdAt: new Date().toISOString(),
+    apiBaseUrl: run.apiBaseUrl,
+    userPrefix: run.userPrefix,
+    topology: run.topology,
+    users: users.slice().sort((a, b) => a.index - b.index),
+    chats,
+  };
+}
+
+// Per-user view of a manifest, for SharedArray: element n-1 describes user n as
+// { index, username, userId, chats: [{ chatId, size, peers: [userId, ...] }] }
+export function indexManifest(manifest) {
+  if (!manifest || manifest.version !== MANIFEST_VERSION) {
+    throw new Error(`unsupported seed manifest version ${manifest && manifest.version}`);
+  }
+
+  const byIndex = [];
+  for (const u of manifest.users) {
+    byIndex[u.index - 1] = { index: u.index, username: u.username, userId: u.userId, chats: [] };
+  }
+
+  for (const c of manifest.chats) {
+    const memberIds = c.members.map((n) => byIndex[n - 1] && byIndex[n - 1].userId);
+    for (const n of c.members) {
+      const u = byIndex[n - 1];
+      if (!u) continue;
+      u.chats.push({
+        chatId: c.chatId,
+        size: c.members.length,
+        peers: memberIds.filter((id) => id && id !== u.userId),
+      });
+    }
+  }
+
+  // SharedArray needs a dense array
+  for (let i = 0; i < byIndex.length; i++) {
+    if (!byIndex[i]) byIndex[i] = { index: i + 1, username: null, userId: null, chats: [] };
+  }
+  return byIndex;
+}
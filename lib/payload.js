@@ -0,0 +1,89 @@
+// Message content generator for size and encoding edge cases
+//
+// Shared by k6-ws-new.js and whisp-e2e.js.
+// Content is a pure function of (prefix, kind, bytes), so a receiver that
+// knows those three can rebuild what was sent and check it arrived byte-identical.
+//
+// Kinds:
+//   ascii     letters, digits, spaces
+//   utf8      2- and 3-byte characters (Latin, Cyrillic, Greek, CJK, Hangul, Devanagari)
+//   emoji     4-byte code points, skin tones, ZWJ sequences, flags, variation selectors
+//   newlines  \n, \r\n, lone \r, U+2028 / U+2029
+//   control   the C0 neighbours of NUL (NUL itself terminates a STOMP frame) and DEL
+//   json      quotes, backslashes, brackets and text that looks like JSON escapes
+//
+// None of the kinds produce ';', so the filler can sit in a ping field.
+
+import { utf8Length } from './stomp.js';
+
+const TOKENS = {
+  ascii: 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789 '.split(''),
+  utf8: ['é', 'ß', 'ñ', 'Ж', 'щ', 'λ', 'Ω', '中', '文', '日', '本', '한', 'अ', '€'],
+  emoji: ['😀', '🚀', '👍🏽', '👨‍👩‍👧', '🇺🇦', '❤️', '🤖', '🧪'],
+  newlines: ['\n', '\r\n', '\r', 'a', ' ', '\u2028', '\u2029', 'z'],
+  control: ['\u0001', '\u0002', '\u0007', '\u0008', '\u000b', '\u000c', '\u001b', '\u001f', '\u007f', 'a'],
+  json: ['"', '\\', '{', '}', '[', ']', ':', ',', '/', '\t', '\\u0000', '\\n', '<', '>', '&', "'", '"}'],
+};
+
+export const PAYLOAD_KINDS = Object.keys(TOKENS);
+
+// Upper bounds of the size buckets used to tag metrics (bytes, inclusive)
+const BUCKETS = [64, 256, 1024, 4096, 16384, 65536, 262144, 1048576];
+
+function formatBytes(n) {
+  if (n >= 1048576) return `${n / 1048576}MiB`;
+  if (n >= 1024) return `${n / 1024}KiB`;
+  return `${n}B`;
+}
+
+// '<=1KiB', ..., '>1MiB'; pass the UTF-8 length actually sent, not the size asked for
+export function sizeBucket(bytes) {
+  for (const b of BUCKETS) if (bytes <= b) return `<=${formatBytes(b)}`;
+  return `>${formatBytes(BUCKETS[BUCKETS.length - 1])}`;
+}
+
+// FNV-1a, to vary where in the token list each message starts
+function hash(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h;
+}
+
+/**
+ * `prefix` followed by ';p=' and `kind` filler, `bytes` UTF-8 bytes long in
+ * total. When `prefix` alone is already at least `bytes` it comes back as is,
+ * longer than asked for; measure the result rather than trusting `bytes`. The
+ * tail is padded with 'a' where the next token would overshoot.
+ */
+export function makeContent(prefix, kind, bytes) {
+  const tokens = TOKENS[kind];
+  if (!tokens) throw new Error(`unknown payload kind "${kind}" (expected one of ${PAYLOAD_KINDS.join(', ')})`);
+
+  const head = `${prefix};p=`;
+  let remaining = bytes - utf8Length(head);
+  if (remaining <= 0) return prefix;
+
+  const parts = [];
+  let i = hash(`${prefix}|${kind}`) % tokens.length;
+  for (;;) {
+    const t = tokens[i];
+    const size = utf8Length(t);
+    if (size > remaining) break;
+    parts.push(t);
+    remaining -= size;
+    i = (i + 1) % tokens.length;
+  }
+  return head + parts.join('') + 'a'.repeat(remaining);
+}
+
+// Comma-separated kinds from an env var, validated
+export function parseKinds(spec) {
+  const kinds = `${spec}`.split(',').map((k) => k.trim()).filter(Boolean);
+  for (const k of kinds) {
+    if (!TOKENS[k]) throw new Error(`unknown payload kind "${k}" (expected one of ${PAYLOAD_KINDS.join(', ')})`);
+  }
+  return kinds;
+}
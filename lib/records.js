@@ -0,0 +1,31 @@
+// One-line JSON records in k6 console output
+//
+// k6 can only write files from handleSummary, which cannot see what the VUs
+// did. Scripts that need per-iteration data afterwards log one "<TAG> {json}"
+// line per record; run them with --console-output=<file> and a Node script
+// picks the records up:
+//   SENT                             k6-ws-new.js (SENT_LOG=true) -> whisp-reconcile.js
+//   SEED_RUN, SEED_USER, SEED_CHAT   k6-init-new.js               -> whisp-manifest.js
+
+export function formatRecord(tag, value) {
+  return `${tag} ${JSON.stringify(value)}`;
+}
+
+// Parses one line of k6 console output, either --log-format=raw ("SENT {...}")
+// or the default logfmt (msg="SENT {\"chatId\":...}"). Returns the record, or
+// null when the line holds no `tag` record.
+export function parseRecord(line, tag) {
+  let msg = line;
+  const quoted = line.match(/msg="((?:[^"\\]|\\.)*)"/);
+  if (quoted) {
+    try { msg = JSON.parse(`"${quoted[1]}"`); } catch (_) { return null; }
+  }
+  const prefix = `${tag} {`;
+  const at = msg.indexOf(prefix);
+  if (at < 0) return null;
+  try {
+    return JSON.parse(msg.slice(at + tag.length + 1));
+  } catch (_) {
+    return null;
+  }
+}
@@ -0,0 +1,49 @@
+// Structured per-run summary for run-to-run comparison (whisp-compare.js)
+//
+//   {
+//     version: 1,
+//     meta: {
+//       script, label, gitCommit,                 // GIT_COMMIT / RUN_LABEL are passed in with -e
+//       apiHost, wsHost,
+//       finishedAt, durationMs,
+//       config: { TOTAL_USERS: 1250, SEND_INTERVAL_MS: 10000, ... },
+//     },
+//     metrics: {
+//       chat_message_rtt_ms: { type: 'trend', values: { avg, med, 'p(90)', 'p(95)', 'p(99)', ... } },
+//       ws_error_count:      { type: 'counter', values: { count, rate } },
+//       ...
+//     },
+//   }
+//
+// Every metric of the run goes in, tagged submetrics included, so the compare
+// tool decides what matters rather than this file.
+
+export const RUN_SUMMARY_VERSION = 1;
+
+function hostOf(url) {
+  const m = /^[a-z]+:\/\/([^/?#]+)/i.exec(url || '');
+  return m ? m[1] : url || null;
+}
+
+export function runSummary(data, { script, label, gitCommit, apiBaseUrl, wsUrl, config }) {
+  const metrics = {};
+  for (const name of Object.keys(data.metrics).sort()) {
+    const m = data.metrics[name];
+    metrics[name] = { type: m.type, values: m.values };
+  }
+
+  return {
+    version: RUN_SUMMARY_VERSION,
+    meta: {
+      script,
+      label: label || null,
+      gitCommit: gitCommit || null,
+      apiHost: hostOf(apiBaseUrl),
+      wsHost: hostOf(wsUrl),
+      finishedAt: new Date().toISOString(),
+      durationMs: data.state.testRunDurationMs,
+      config,
+    },
+    metrics,
+  };
+}
@@ -0,0 +1,97 @@
+// Per (chat, sender) sequence checks on received pings for k6-ws-new.js
+//
+// Tracks the sequence stream of every (chat, sender) pair seen during one session.
+// Gaps are held open until the session ends so late arrivals count as
+// out-of-order rather than missing. Gaps spanning a reconnect are counted
+// as lost in the reconnect instead.
+//
+// Ranges too large to remember seq by seq (gaps over `maxTrackedGap`, reconnect
+// losses, reordering far behind the first seq seen) are kept as plain
+// [from, to] windows; an arrival inside one counts as out-of-window rather than
+// as a duplicate, since the tracker cannot tell which of those seqs it saw.
+//
+//   const tracker = createSeqTracker({ outOfOrder, duplicate, missing, outOfWindow, reconnectLost });
+//
+// Every counter only needs add(n), so k6 Counters go in as they are.
+
+export const MAX_TRACKED_GAP = 1000;
+
+export function createSeqTracker(counters, { maxTrackedGap = MAX_TRACKED_GAP } = {}) {
+  const { outOfOrder, duplicate, missing, outOfWindow, reconnectLost } = counters;
+  const streams = {};
+
+  function markGaps(st, from, to) {
+    for (let s = from; s <= to; s++) st.gaps[s] = true;
+  }
+
+  function inWindow(st, seq) {
+    return st.windows.some(([from, to]) => seq >= from && seq <= to);
+  }
+
+  function observe(chatId, senderId, seq) {
+    const key = `${chatId}|${senderId}`;
+    const st = streams[key];
+    if (!st) {
+      // First message of this stream in this session: earlier ones predate our subscription
+      streams[key] = { first: seq, last: seq, gaps: {}, windows: [], acrossReconnect: false };
+      return;
+    }
+
+    // First message after a reconnect: anything skipped was sent while we were away
+    if (st.acrossReconnect) {
+      st.acrossReconnect = false;
+      if (seq > st.last + 1) {
+        reconnectLost.add(seq - st.last - 1);
+        st.windows.push([st.last + 1, seq - 1]);
+        st.last = seq;
+        return;
+      }
+    }
+
+    if (seq === st.last + 1) {
+      st.last = seq;
+    } else if (seq > st.last + 1) {
+      const gap = seq - st.last - 1;
+      if (gap > maxTrackedGap) {
+        missing.add(gap);
+        st.windows.push([st.last + 1, seq - 1]);
+      } else {
+        markGaps(st, st.last + 1, seq - 1);
+      }
+      st.last = seq;
+    } else if (st.gaps[seq]) {
+      delete st.gaps[seq];
+      outOfOrder.add(1);
+    } else if (seq < st.first) {
+      // Overtaken by the first message we saw: the seqs in between are still on their way.
+      // Whether they were sent before our subscription is unknowable, so they are never
+      // counted missing when the distance is too large to track.
+      if (st.first - seq - 1 > maxTrackedGap) {
+        st.windows.push([seq + 1, st.first - 1]);
+      } else {
+        markGaps(st, seq + 1, st.first - 1);
+      }
+      st.first = seq;
+      outOfOrder.add(1);
+    } else if (inWindow(st, seq)) {
+      outOfWindow.add(1);
+    } else {
+      duplicate.add(1);
+    }
+  }
+
+  function flushMissing() {
+    let count = 0;
+    for (const key in streams) {
+      count += Object.keys(streams[key].gaps).length;
+      streams[key].gaps = {};
+    }
+    if (count) missing.add(count);
+  }
+
+  function markReconnect() {
+    for (const key in streams) streams[key].acrossReconnect = true;
+  }
+
+  return { observe, flushMissing, markReconnect };
+}
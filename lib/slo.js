@@ -0,0 +1,88 @@
+// Declarative SLOs -> k6 thresholds and a pass/fail report
+//
+// SLO file (JSON):
+//   {
+//     abortOnFail: false,               // default for every SLO
+//     slos: [{
+//       name:       'message RTT p95',  // free text for the report
+//       metric:     'chat_message_rtt_ms',       // may carry a tag filter: 'x{persona:heavy}'
+//       threshold:  'p(95)<1000',       // k6 threshold expression: <stat> <op> <number>
+//       abortOnFail: true,              // optional; stop the test as soon as it fails
+//       delayAbortEval: '1m',           // optional; give the metric time to settle first
+//     }],
+//   }
+//
+// Verdicts come from k6's own threshold evaluation (data.metrics[m].thresholds),
+// the measured value from the summary stat named in the expression.
+
+const EXPRESSION = /^\s*([a-z]+(?:\(\d+(?:\.\d+)?\))?)\s*(<=|>=|===|==|!=|<|>)\s*(-?\d+(?:\.\d+)?)\s*$/;
+
+export function parseSlos(file, { abortOnFail } = {}) {
+  if (!file || !Array.isArray(file.slos) || !file.slos.length) {
+    throw new Error('SLO file needs a non-empty slos array');
+  }
+  return file.slos.map((s, i) => {
+    const name = s.name || `slo${i + 1}`;
+    if (!s.metric) throw new Error(`SLO "${name}": metric is required`);
+    const m = EXPRESSION.exec(s.threshold || '');
+    if (!m) throw new Error(`SLO "${name}": threshold "${s.threshold}" is not <stat> <op> <number>`);
+    return {
+      name,
+      metric: s.metric,
+      threshold: s.threshold.trim(),
+      stat: m[1],
+      abortOnFail: abortOnFail !== undefined ? abortOnFail : s.abortOnFail !== undefined ? !!s.abortOnFail : !!file.abortOnFail,
+      delayAbortEval: s.delayAbortEval || null,
+    };
+  });
+}
+
+// Merges the SLOs into a k6 `thresholds` object (keeps thresholds already there)
+export function sloThresholds(slos, thresholds = {}) {
+  const out = { ...thresholds };
+  for (const s of slos) {
+    const entry = { threshold: s.threshold, abortOnFail: s.abortOnFail };
+    if (s.delayAbortEval) entry.delayAbortEval = s.delayAbortEval;
+    out[s.metric] = (out[s.metric] || []).concat([entry]);
+  }
+  return out;
+}
+
+// k6 only puts the stats listed in options.summaryTrendStats into the summary, so
+// an SLO on p(99) would never have a measured value. Returns `defaults` plus every
+// trend stat the SLOs name (rate / count belong to other metric types).
+const TREND_STAT = /^(avg|min|med|max|p\(\d+(?:\.\d+)?\))$/;
+
+export function sloTrendStats(slos, defaults) {
+  const stats = [...defaults];
+  for (const s of slos) if (TREND_STAT.test(s.stat) && !stats.includes(s.stat)) stats.push(s.stat);
+  return stats;
+}
+
+// { passed, slos: [{ name, metric, threshold, value, verdict }] } from handleSummary data.
+// verdict: 'pass' | 'fail' | 'no data' (the metric never got a sample)
+export function sloReport(slos, data) {
+  const results = slos.map((s) => {
+    const metric = data.metrics[s.metric];
+    const value = metric && metric.values[s.stat] !== undefined ? metric.values[s.stat] : null;
+    const t = metric && metric.thresholds ? metric.thresholds[s.threshold] : undefined;
+    const verdict = !metric ? 'no data' : t && t.ok === false ? 'fail' : 'pass';
+    return { name: s.name, metric: s.metric, threshold: s.threshold, value, verdict };
+  });
+  return { passed: results.every((r) => r.verdict !== 'fail'), slos: results };
+}
+
+function formatValue(v) {
+  if (v === null) return '-';
+  return Number.isInteger(v) ? `${v}` : v.toFixed(3);
+}
+
+export function formatSloReport(report) {
+  const width = Math.max(4, ...report.slos.map((r) => r.name.length));
+  const lines = ['', `SLOs: ${report.passed ? 'PASSED' : 'FAILED'}`];
+  for (const r of report.slos) {
+    lines.push(`  ${r.verdict === 'fail' ? 'FAIL   ' : r.verdict === 'pass' ? 'pass   ' : 'no data'}  ` +
+      `${r.name.padEnd(width)}  ${r.metric} ${r.threshold}  measured ${formatValue(r.value)}`);
+  }
+  return `${lines.join('\n')}\n`;
+}
@@ -0,0 +1,214 @@
+// STOMP 1.2 codec shared by the k6 scripts
+//
+// - stompFrame() escapes header values (except in CONNECT/CONNECTED, per spec)
+//   and adds content-length (in UTF-8 bytes) when a body is present.
+// - createStompDecoder() returns a stateful decoder. push(raw) accepts one
+//   WebSocket message and returns every frame it completes: several frames or
+//   heart-beats per message are fine, and a frame split across messages is
+//   buffered until its NUL arrives. content-length is honoured, repeated
+//   headers keep their first value, and header values are unescaped.
+//
+// push() yields pseudo-frames besides real ones:
+//   { command: 'HEARTBEAT' }                 a bare EOL between frames
+//   { command: 'MALFORMED', error, raw }     a frame that violates the spec
+// so callers can count them instead of silently dropping them.
+//
+// negotiateHeartbeat() turns the CONNECT / CONNECTED heart-beat headers into
+// the intervals each side has agreed to keep.
+
+export const HEARTBEAT = 'HEARTBEAT';
+export const MALFORMED = 'MALFORMED';
+
+const COMMANDS = [
+  'CONNECT', 'STOMP', 'CONNECTED', 'SEND', 'SUBSCRIBE', 'UNSUBSCRIBE', 'ACK', 'NACK',
+  'BEGIN', 'COMMIT', 'ABORT', 'DISCONNECT', 'MESSAGE', 'RECEIPT', 'ERROR',
+];
+
+// CONNECT and CONNECTED headers are sent verbatim (STOMP 1.2, "Value Encoding")
+function isRawHeaderCommand(command) {
+  return command === 'CONNECT' || command === 'STOMP' || command === 'CONNECTED';
+}
+
+function escapeHeader(v) {
+  return String(v)
+    .replace(/\\/g, '\\\\')
+    .replace(/\r/g, '\\r')
+    .replace(/\n/g, '\\n')
+    .replace(/:/g, '\\c');
+}
+
+// Returns null on an undefined escape sequence (a fatal error per spec)
+function unescapeHeader(v) {
+  let out = '';
+  for (let i = 0; i < v.length; i++) {
+    const ch = v[i];
+    if (ch !== '\\') {
+      out += ch;
+      continue;
+    }
+    const next = v[++i];
+    if (next === 'r') out += '\r';
+    else if (next === 'n') out += '\n';
+    else if (next === 'c') out += ':';
+    else if (next === '\\') out += '\\';
+    else return null;
+  }
+  return out;
+}
+
+// UTF-8 byte length of a JS string (k6 has no TextEncoder)
+export function utf8Length(s) {
+  let n = 0;
+  for (let i = 0; i < s.length; i++) {
+    const c = s.charCodeAt(i);
+    if (c < 0x80) n += 1;
+    else if (c < 0x800) n += 2;
+    else if (c >= 0xd800 && c <= 0xdbff && i + 1 < s.length) { n += 4; i++; }
+    else n += 3;
+  }
+  return n;
+}
+
+// String index reached after consuming `bytes` UTF-8 bytes from `start`, or -1 if s is too short
+function indexAfterBytes(s, start, bytes) {
+  let i = start;
+  let n = 0;
+  while (n < bytes) {
+    if (i >= s.length) return -1;
+    const c = s.charCodeAt(i);
+    if (c < 0x80) n += 1;
+    else if (c < 0x800) n += 2;
+    else if (c >= 0xd800 && c <= 0xdbff && i + 1 < s.length) { n += 4; i++; }
+    else n += 3;
+    i++;
+  }
+  return n === bytes ? i : -1;
+}
+
+function parseHeartbeat(header) {
+  const [x, y] = `${header || '0,0'}`.split(',').map((n) => +n);
+  return [x > 0 ? x : 0, y > 0 ? y : 0];
+}
+
+// `ours` is the heart-beat header we sent in CONNECT ("cx,cy"), `theirs` the one in
+// CONNECTED ("sx,sy"). Returns { outgoing, incoming }: ms between the heart-beats we
+// must send and the ones the server promised (0 = none), per STOMP 1.2.
+export function negotiateHeartbeat(ours, theirs) {
+  const [cx, cy] = parseHeartbeat(ours);
+  const [sx, sy] = parseHeartbeat(theirs);
+  return {
+    outgoing: cx && sy ? Math.max(cx, sy) : 0,
+    incoming: cy && sx ? Math.max(cy, sx) : 0,
+  };
+}
+
+export function stompFrame(command, headers, body) {
+  const escape = isRawHeaderCommand(command) ? String : escapeHeader;
+  let frame = `${command}\n`;
+  let hasLength = false;
+  if (headers) {
+    for (const k in headers) {
+      if (headers[k] === undefined || headers[k] === null) continue;
+      if (k === 'content-length') hasLength = true;
+      frame += `${escape(k)}:${escape(headers[k])}\n`;
+    }
+  }
+  if (body && !hasLength) frame += `content-length:${utf8Length(body)}\n`;
+  frame += '\n';
+  if (body) frame += body;
+  frame += '\0';
+  return frame;
+}
+
+// Parses command + headers. Returns { command, headers } or { error }.
+function parseHead(head) {
+  const lines = head.split('\n').map((l) => (l.endsWith('\r') ? l.slice(0, -1) : l));
+  const command = lines[0];
+  if (COMMANDS.indexOf(command) < 0) return { error: `unknown command "${command}"` };
+
+  const unescape = isRawHeaderCommand(command) ? (v) => v : unescapeHeader;
+  const headers = {};
+  for (let i = 1; i < lines.length; i++) {
+    const line = lines[i];
+    const idx = line.indexOf(':');
+    if (idx <= 0) return { error: `bad header line "${line}"` };
+    const k = unescape(line.slice(0, idx));
+    const v = unescape(line.slice(idx + 1));
+    if (k === null || v === null) return { error: `bad escape in header line "${line}"` };
+    // STOMP 1.2: only the first occurrence of a repeated header is used
+    if (!Object.prototype.hasOwnProperty.call(headers, k)) headers[k] = v;
+  }
+  return { command, headers };
+}
+
+export function createStompDecoder() {
+  let buf = '';
+
+  function push(raw) {
+    buf += raw;
+    const out = [];
+    let pos = 0;
+
+    while (pos < buf.length) {
+      // EOLs between frames are heart-beats
+      if (buf[pos] === '\n' || (buf[pos] === '\r' && buf[pos + 1] === '\n')) {
+        pos += buf[pos] === '\n' ? 1 : 2;
+        out.push({ command: HEARTBEAT });
+        continue;
+      }
+      if (buf[pos] === '\r' && pos + 1 >= buf.length) break; // wait for the LF
+
+      const lf = buf.indexOf('\n\n', pos);
+      const crlf = buf.indexOf('\r\n\r\n', pos);
+      const useCrlf = crlf >= 0 && (lf < 0 || crlf < lf);
+      const headEnd = useCrlf ? crlf : lf;
+
+      if (headEnd < 0) {
+        // A NUL before any blank line means the frame can never become valid
+        const nul = buf.indexOf('\0', pos);
+        if (nul < 0) break;
+        out.push({ command: MALFORMED, error: 'missing blank line after headers', raw: buf.slice(pos, nul + 1) });
+        pos = nul + 1;
+        continue;
+      }
+
+      const bodyStart = headEnd + (useCrlf ? 4 : 2);
+      const head = parseHead(buf.slice(pos, headEnd));
+      const lengthHdr = head.headers && head.headers['content-length'];
+
+      let bodyEnd;
+      let error = head.error;
+      if (!error && lengthHdr !== undefined) {
+        if (!/^\d+$/.test(lengthHdr)) {
+          error = `bad content-length "${lengthHdr}"`;
+        } else {
+          bodyEnd = indexAfterBytes(buf, bodyStart, +lengthHdr);
+          if (bodyEnd < 0) break; // body not complete yet
+          if (bodyEnd >= buf.length) break; // NUL not arrived yet
+          if (buf[bodyEnd] !== '\0') error = `content-length ${lengthHdr} not followed by NUL`;
+        }
+      }
+
+      if (error) {
+        const nul = buf.indexOf('\0', bodyStart);
+        if (nul < 0) break;
+        out.push({ command: MALFORMED, error, raw: buf.slice(pos, nul + 1) });
+        pos = nul + 1;
+        continue;
+      }
+
+      if (bodyEnd === undefined) {
+        bodyEnd = buf.indexOf('\0', bodyStart);
+        if (bodyEnd < 0) break;
+      }
+
+      out.push({ command: head.command, headers: head.headers, body: buf.slice(bodyStart, bodyEnd) });
+      pos = bodyEnd + 1;
+    }
+
+    buf = buf.slice(pos);
+    return out;
+  }
+
+  return { push };
+}
@@ -0,0 +1,168 @@
+// Deterministic chat-topology generator for seeding
+//
+// buildTopology(spec) turns a seed plus a few distribution knobs into a fixed
+// plan of chats over users 1..spec.users. The same spec always yields the same
+// plan, so two runs seeded from it are directly comparable.
+//
+// spec:
+//   seed        integer PRNG seed
+//   users       number of users (user indices are 1-based, as in `${USER_PREFIX}${n}`)
+//   chats       number of chats to plan
+//   mix         { direct, small, large } relative weights of chat kinds
+//   smallSize   [min, max] members of a small group (inclusive)
+//   largeSize   [min, max] members of a large group (inclusive)
+//   degree      'uniform' | 'powerlaw'  how members are drawn
+//   alpha       Zipf exponent for 'powerlaw' (higher = a few very popular users)
+//
+// Result: { id, chats: [{ index, name, kind, owner, members: [userIndex, ...] }] }
+// `owner` is the member that creates the chat, the least loaded one so creation
+// spreads over users; `id` fingerprints the plan.
+
+export const CHAT_KINDS = ['direct', 'small', 'large'];
+
+// mulberry32: small, fast and good enough for test data
+export function createRng(seed) {
+  let a = seed >>> 0;
+  return function rng() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function randInt(rng, min, max) {
+  return min + Math.floor(rng() * (max - min + 1));
+}
+
+function shuffle(arr, rng) {
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    const t = arr[i];
+    arr[i] = arr[j];
+    arr[j] = t;
+  }
+  return arr;
+}
+
+// Returns () => userIndex drawn from the degree distribution
+function createMemberSampler(users, degree, alpha, rng) {
+  if (degree === 'uniform') return () => randInt(rng, 1, users);
+  if (degree !== 'powerlaw') throw new Error(`unknown degree distribution "${degree}"`);
+
+  // Zipf over ranks; ranks map to users through a seeded permutation so the
+  // popular users are spread over the id range instead of always being user1..
+  const byRank = shuffle(Array.from({ length: users }, (_, i) => i + 1), rng);
+  const cum = new Float64Array(users);
+  let total = 0;
+  for (let r = 0; r < users; r++) {
+    total += 1 / Math.pow(r + 1, alpha);
+    cum[r] = total;
+  }
+
+  return () => {
+    const x = rng() * total;
+    let lo = 0;
+    let hi = users - 1;
+    while (lo < hi) {
+      const mid = (lo + hi) >>> 1;
+      if (cum[mid] > x) hi = mid;
+      else lo = mid + 1;
+    }
+    return byRank[lo];
+  };
+}
+
+function pickKind(mix, rng) {
+  const total = CHAT_KINDS.reduce((acc, k) => acc + (mix[k] || 0), 0);
+  let x = rng() * total;
+  for (const k of CHAT_KINDS) {
+    x -= mix[k] || 0;
+    if (x < 0) return k;
+  }
+  return CHAT_KINDS[CHAT_KINDS.length - 1];
+}
+
+function chatSizeFor(kind, spec, rng) {
+  if (kind === 'direct') return 2;
+  const [min, max] = kind === 'small' ? spec.smallSize : spec.largeSize;
+  return randInt(rng, min, max);
+}
+
+function pickMembers(size, sample, users, rng) {
+  const members = new Set();
+  // Heavily skewed samplers keep returning the same popular users; top up uniformly after a while
+  for (let tries = 0; members.size < size && tries < size * 20; tries++) members.add(sample());
+  while (members.size < size) members.add(randInt(rng, 1, users));
+  return [...members];
+}
+
+// FNV-1a over the plan, as 8 hex chars
+function fingerprint(chats) {
+  let h = 0x811c9dc5;
+  for (const c of chats) {
+    const s = `${c.owner}:${c.members.join(',')};`;
+    for (let i = 0; i < s.length; i++) {
+      h ^= s.charCodeAt(i);
+      h = Math.imul(h, 0x01000193) >>> 0;
+    }
+  }
+  return h.toString(16).padStart(8, '0');
+}
+
+// Member owning the fewest chats so far (first one on a tie). Owners create their
+// chats one after another, so under 'powerlaw' a random owner would leave the
+// popular users with hours of work while everyone else is done.
+function leastLoaded(members, owned) {
+  let best = members[0];
+  for (const m of members) if (owned[m] < owned[best]) best = m;
+  return best;
+}
+
+// Chats per owner: { maxOwned, owners } (owners = users owning at least one)
+export function ownerLoad(plan) {
+  const owned = {};
+  for (const c of plan.chats) owned[c.owner] = (owned[c.owner] || 0) + 1;
+  const counts = Object.values(owned);
+  return { maxOwned: counts.length ? Math.max(...counts) : 0, owners: counts.length };
+}
+
+export function buildTopology(spec) {
+  if (spec.users < 2) throw new Error('topology needs at least 2 users');
+  if (!CHAT_KINDS.some((k) => (spec.mix[k] || 0) > 0)) throw new Error('topology mix has no positive weight');
+
+  const rng = createRng(spec.seed);
+  const sample = createMemberSampler(spec.users, spec.degree, spec.alpha, rng);
+  const chats = [];
+  const owned = new Array(spec.users + 1).fill(0);
+
+  for (let i = 0; i < spec.chats; i++) {
+    const kind = pickKind(spec.mix, rng);
+    const size = Math.min(spec.users, chatSizeFor(kind, spec, rng));
+    const members = pickMembers(size, sample, spec.users, rng);
+    const owner = leastLoaded(members, owned);
+    owned[owner]++;
+    chats.push({ index: i, name: `Chat-${owner}-${i}`, kind, owner, members });
+  }
+
+  return { id: `${spec.seed}-${fingerprint(chats)}`, chats };
+}
+
+// Parses "direct:0.7,small:0.25,large:0.05"
+export function parseMix(s) {
+  const mix = {};
+  for (const part of s.split(',')) {
+    const [kind, weight] = part.split(':').map((x) => x.trim());
+    if (CHAT_KINDS.indexOf(kind) < 0 || !(+weight >= 0)) throw new Error(`bad topology mix entry "${part}"`);
+    mix[kind] = +weight;
+  }
+  return mix;
+}
+
+// Parses "3-8" into [3, 8]
+export function parseRange(s) {
+  const m = /^(\d+)-(\d+)$/.exec(s.trim());
+  if (!m || +m[1] > +m[2] || +m[1] < 2) throw new Error(`bad size range "${s}"`);
+  return [+m[1], +m[2]];
+}
@@ -0,0 +1,138 @@
+// Workload profiles for k6-ws-new.js: a mix of user personas
+//
+// Profile file (JSON):
+//   {
+//     seed: 1,                        // persona assignment is deterministic per (seed, VU)
+//     personas: [{
+//       name:             'heavy',    // becomes the `persona` tag on every metric of the VU
+//       share:            0.1,        // relative population weight
+//       sendIntervalMs:   2000,       // 0 = lurker, never sends
+//       messageSize:      { dist: 'uniform', min: 100, max: 400 },
+//                         // or { dist: 'fixed', bytes: 120 }   (0 = bare ping, no payload)
+//                         // or { dist: 'lognormal', median: 120, sigma: 1, max: 4000 }
+//                         // or { dist: 'choice', bytes: [128, 1024, 65536, 70000] }
+//       sessionTimeMs:    600000,     // how long the VU stays online per iteration
+//       reconnectEveryMs: 0,          // > 0: drop and reopen the connection this often
+//       chatRefreshMs:    30000,      // getChats polling (0 disables)
+//       messagesPerChat:  1,          // messages sent to one chat before switching to another
+//     }],
+//   }
+//
+// Omitted persona fields fall back to the defaults passed to parseWorkload()
+// (the script's env vars), so a profile only needs to state what differs.
+//
+// Sizes are UTF-8 bytes of the whole message text, ping header included
+// (ping:<nonce>;t=..;n=..;s=..;k=<kind>;b=<bytes>;p=, up to ~75 bytes). Anything
+// smaller would go out at header size and land in the wrong size bucket, so
+// sizes other than 0 must be at least MIN_MESSAGE_BYTES; lognormal draws below
+// it are raised to it.
+
+import { createRng } from './topology.js';
+
+const SIZE_DISTS = ['fixed', 'uniform', 'lognormal', 'choice'];
+
+export const MIN_MESSAGE_BYTES = 80;
+
+function tooSmall(bytes) {
+  return bytes > 0 && bytes < MIN_MESSAGE_BYTES;
+}
+
+function nonNegative(persona, key) {
+  const v = persona[key];
+  if (typeof v !== 'number' || !(v >= 0)) {
+    throw new Error(`workload persona "${persona.name}": ${key} must be a number >= 0, got ${JSON.stringify(v)}`);
+  }
+}
+
+function checkSize(persona) {
+  const s = persona.messageSize;
+  if (!s || SIZE_DISTS.indexOf(s.dist) < 0) {
+    throw new Error(`workload persona "${persona.name}": messageSize.dist must be one of ${SIZE_DISTS.join(', ')}`);
+  }
+  if (s.dist === 'choice') {
+    if (!Array.isArray(s.bytes) || !s.bytes.length || !s.bytes.every((b) => typeof b === 'number' && b >= 0)) {
+      throw new Error(`workload persona "${persona.name}": messageSize.bytes must be a non-empty array of numbers >= 0`);
+    }
+    if (s.bytes.some(tooSmall)) {
+      throw new Error(`workload persona "${persona.name}": messageSize.bytes must be 0 or at least ${MIN_MESSAGE_BYTES} (ping header)`);
+    }
+    return;
+  }
+  const need = { fixed: ['bytes'], uniform: ['min', 'max'], lognormal: ['median', 'sigma'] }[s.dist];
+  for (const k of need) {
+    if (typeof s[k] !== 'number' || !(s[k] >= 0)) {
+      throw new Error(`workload persona "${persona.name}": messageSize.${k} must be a number >= 0`);
+    }
+  }
+  if (s.dist === 'uniform' && s.min > s.max) {
+    throw new Error(`workload persona "${persona.name}": messageSize.min > messageSize.max`);
+  }
+  const floor = { fixed: 'bytes', uniform: 'min', lognormal: 'median' }[s.dist];
+  if (tooSmall(s[floor]) || (s.dist === 'uniform' && s.min === 0 && s.max > 0)) {
+    throw new Error(`workload persona "${persona.name}": messageSize.${floor} must be ${s.dist === 'fixed' ? '0 or ' : ''}` +
+      `at least ${MIN_MESSAGE_BYTES} (ping header)`);
+  }
+}
+
+// Validates a profile and fills persona defaults. Shares are normalized to sum to 1.
+export function parseWorkload(profile, defaults) {
+  if (!profile || !Array.isArray(profile.personas) || !profile.personas.length) {
+    throw new Error('workload profile needs a non-empty personas array');
+  }
+
+  const seen = {};
+  const personas = profile.personas.map((p, i) => {
+    const persona = { ...defaults, ...p, name: p.name || `persona${i + 1}` };
+    if (seen[persona.name]) throw new Error(`workload persona "${persona.name}" is defined twice`);
+    seen[persona.name] = true;
+
+    for (const key of ['share', 'sendIntervalMs', 'sessionTimeMs', 'reconnectEveryMs', 'chatRefreshMs']) nonNegative(persona, key);
+    if (!(persona.messagesPerChat >= 1)) throw new Error(`workload persona "${persona.name}": messagesPerChat must be >= 1`);
+    checkSize(persona);
+    return persona;
+  });
+
+  const total = personas.reduce((acc, p) => acc + p.share, 0);
+  if (!(total > 0)) throw new Error('workload persona shares must add up to more than 0');
+  for (const p of personas) p.share /= total;
+
+  return { seed: +profile.seed || 1, personas };
+}
+
+// Single-persona workload built from the defaults alone (no profile file)
+export function defaultWorkload(defaults) {
+  return parseWorkload({ personas: [{ name: 'default', share: 1 }] }, defaults);
+}
+
+// Persona of 1-based VU number `vu`: the same seed and VU always get the same one
+export function personaForVu(workload, vu) {
+  const u = createRng((workload.seed * 2654435761 + vu) >>> 0)();
+  let acc = 0;
+  for (const p of workload.personas) {
+    acc += p.share;
+    if (u < acc) return p;
+  }
+  return workload.personas[workload.personas.length - 1];
+}
+
+// Returns () => message size in bytes drawn from the persona's distribution
+export function createSizeSampler(messageSize, rng = Math.random) {
+  switch (messageSize.dist) {
+  case 'fixed':
+    return () => messageSize.bytes;
+  case 'uniform':
+    return () => messageSize.min + Math.floor(rng() * (messageSize.max - messageSize.min + 1));
+  case 'lognormal': {
+    const max = messageSize.max || Infinity;
+    return () => {
+      // Box-Muller
+      const z = Math.sqrt(-2 * Math.log(1 - rng())) * Math.cos(2 * Math.PI * rng());
+      return Math.max(MIN_MESSAGE_BYTES, Math.min(max, Math.round(messageSize.median * Math.exp(messageSize.sigma * z))));
+    };
+  }
+  case 'choice':
+    return () => messageSize.bytes[Math.floor(rng() * messageSize.bytes.length)];
+  default:
+    throw new Error(`unknown messageSize.dist "${messageSize.dist}"`);
+  }
+}
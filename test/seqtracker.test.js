@@ -0,0 +1,88 @@
+/* Unit tests for lib/seqtracker.js
+ *
+ *   node --test test/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSeqTracker } = require('../lib/seqtracker.js');
+
+function setup(options) {
+    const counts = { outOfOrder: 0, duplicate: 0, missing: 0, outOfWindow: 0, reconnectLost: 0 };
+    const counters = {};
+    for (const name of Object.keys(counts)) counters[name] = { add: (n) => { counts[name] += n; } };
+    const tracker = createSeqTracker(counters, options);
+    const feed = (...seqs) => seqs.forEach((s) => tracker.observe('c1', 'u1', s));
+    return { counts, tracker, feed };
+}
+
+test('in-order stream counts nothing', () => {
+    const { counts, tracker, feed } = setup();
+    feed(1, 2, 3, 4);
+    tracker.flushMissing();
+    assert.deepStrictEqual(counts, { outOfOrder: 0, duplicate: 0, missing: 0, outOfWindow: 0, reconnectLost: 0 });
+});
+
+test('late arrival inside a gap is out of order, not missing', () => {
+    const { counts, tracker, feed } = setup();
+    feed(1, 3, 2);
+    tracker.flushMissing();
+    assert.strictEqual(counts.outOfOrder, 1);
+    assert.strictEqual(counts.missing, 0);
+});
+
+test('repeated seq is a duplicate', () => {
+    const { counts, feed } = setup();
+    feed(1, 2, 2);
+    assert.strictEqual(counts.duplicate, 1);
+});
+
+test('reordering across the first seq seen tracks the skipped range', () => {
+    const { counts, tracker, feed } = setup();
+    feed(10, 11, 7, 8, 9);
+    tracker.flushMissing();
+    assert.strictEqual(counts.outOfOrder, 3);
+    assert.strictEqual(counts.duplicate, 0);
+    assert.strictEqual(counts.missing, 0);
+});
+
+test('seqs skipped below the first seq seen are missing when they never arrive', () => {
+    const { counts, tracker, feed } = setup();
+    feed(10, 7, 8);
+    tracker.flushMissing();
+    assert.strictEqual(counts.missing, 1);
+    assert.strictEqual(counts.duplicate, 0);
+});
+
+test('gap over the tracking limit: late arrivals are out of window, not duplicates', () => {
+    const { counts, tracker, feed } = setup({ maxTrackedGap: 5 });
+    feed(1, 20, 10, 10, 21);
+    tracker.flushMissing();
+    assert.strictEqual(counts.missing, 18);
+    assert.strictEqual(counts.outOfWindow, 2);
+    assert.strictEqual(counts.duplicate, 0);
+});
+
+test('reordering far behind the first seq seen is out of window and never missing', () => {
+    const { counts, tracker, feed } = setup({ maxTrackedGap: 5 });
+    feed(100, 50, 60);
+    tracker.flushMissing();
+    assert.strictEqual(counts.outOfOrder, 1);
+    assert.strictEqual(counts.outOfWindow, 1);
+    assert.strictEqual(counts.missing, 0);
+    assert.strictEqual(counts.duplicate, 0);
+});
+
+test('seqs skipped across a reconnect are lost, late ones out of window', () => {
+    const { counts, tracker, feed } = setup();
+    feed(1, 2);
+    tracker.markReconnect();
+    feed(6, 4);
+    tracker.flushMissing();
+    assert.strictEqual(counts.reconnectLost, 3);
+    assert.strictEqual(counts.outOfWindow, 1);
+    assert.strictEqual(counts.duplicate, 0);
+    assert.strictEqual(counts.missing, 0);
+});
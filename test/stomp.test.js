@@ -0,0 +1,77 @@
+/* Unit tests for lib/stomp.js
+ *
+ *   node --test test/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { stompFrame, createStompDecoder, utf8Length, HEARTBEAT, MALFORMED } = require('../lib/stomp.js');
+
+function decodeAll(...messages) {
+    const decoder = createStompDecoder();
+    return messages.flatMap((m) => decoder.push(m));
+}
+
+test('frame split across WebSocket messages is buffered until its NUL', () => {
+    const raw = stompFrame('MESSAGE', { destination: '/queue/a', 'message-id': '1' }, '{"message":"hi"}');
+    const decoder = createStompDecoder();
+    assert.deepStrictEqual(decoder.push(raw.slice(0, 10)), []);
+    assert.deepStrictEqual(decoder.push(raw.slice(10, raw.length - 1)), []);
+    const [frame] = decoder.push(raw.slice(raw.length - 1));
+    assert.strictEqual(frame.command, 'MESSAGE');
+    assert.strictEqual(frame.headers.destination, '/queue/a');
+    assert.strictEqual(frame.body, '{"message":"hi"}');
+});
+
+test('several frames and heart-beat EOLs in one message', () => {
+    const frames = decodeAll(`\n${stompFrame('RECEIPT', { 'receipt-id': 'r1' })}\r\n` +
+        `${stompFrame('MESSAGE', { 'message-id': '2' }, 'a')}\n${stompFrame('MESSAGE', { 'message-id': '3' }, 'b')}`);
+    assert.deepStrictEqual(frames.map((f) => f.command), [HEARTBEAT, 'RECEIPT', HEARTBEAT, 'MESSAGE', HEARTBEAT, 'MESSAGE']);
+    assert.strictEqual(frames[1].headers['receipt-id'], 'r1');
+    assert.deepStrictEqual(frames.filter((f) => f.command === 'MESSAGE').map((f) => f.body), ['a', 'b']);
+});
+
+test('content-length counts UTF-8 bytes and lets the body hold NUL', () => {
+    const body = 'é中😀\0after-nul';
+    const raw = stompFrame('MESSAGE', { 'message-id': '4' }, body);
+    assert.ok(raw.includes(`content-length:${utf8Length(body)}\n`));
+    assert.strictEqual(utf8Length(body), Buffer.byteLength(body));
+
+    const frames = decodeAll(raw.slice(0, raw.indexOf('\0')), raw.slice(raw.indexOf('\0')));
+    assert.strictEqual(frames.length, 1);
+    assert.strictEqual(frames[0].body, body);
+});
+
+test('content-length not followed by NUL is MALFORMED', () => {
+    const [frame] = decodeAll('MESSAGE\ncontent-length:2\n\nabc\0');
+    assert.strictEqual(frame.command, MALFORMED);
+    assert.match(frame.error, /content-length 2/);
+});
+
+test('header values round-trip through escaping', () => {
+    const value = 'a:b\nc\rd\\e';
+    const raw = stompFrame('SEND', { destination: '/x', 'x-odd': value });
+    assert.ok(raw.includes('x-odd:a\\cb\\nc\\rd\\\\e\n'));
+    const [frame] = decodeAll(raw);
+    assert.strictEqual(frame.headers['x-odd'], value);
+});
+
+test('CONNECTED headers are not unescaped', () => {
+    const [frame] = decodeAll('CONNECTED\nversion:1.2\nx-raw:a\\tb\n\n\0');
+    assert.strictEqual(frame.command, 'CONNECTED');
+    assert.strictEqual(frame.headers['x-raw'], 'a\\tb');
+});
+
+test('undefined escape sequence is MALFORMED', () => {
+    const frames = decodeAll('MESSAGE\nx-bad:a\\tb\n\nbody\0', stompFrame('RECEIPT', { 'receipt-id': 'r2' }));
+    assert.strictEqual(frames[0].command, MALFORMED);
+    assert.match(frames[0].error, /bad escape/);
+    assert.strictEqual(frames[1].command, 'RECEIPT', 'decoding goes on after a malformed frame');
+});
+
+test('repeated header keeps its first value', () => {
+    const [frame] = decodeAll('MESSAGE\nfoo:first\nfoo:second\n\n\0');
+    assert.strictEqual(frame.headers.foo, 'first');
+});
@@ -0,0 +1,128 @@
+/* whisp-cleanup.js
+ *
+ * Bulk teardown of load-test data created by k6-init-new.js (Node.js).
+ *
+ * For every `${USER_PREFIX}N` with FROM <= N <= TO: sign in, delete all of the
+ * user's chats, then delete the user. Prints deleted / missing / failed counts.
+ *
+ * WARNING: This script deletes users and chats.
+ * Run only against a test/staging environment.
+ *
+ * Env vars:
+ *   WHISP_BASE_URL     (default: https://whisp-dev.api.whispchat.com)
+ *   WHISP_API_KEY      (default: same key as whisp-e2e.js)
+ *   USER_PREFIX        (default: user)
+ *   PASSWORD           (default: password123)
+ *   FROM               (default: 1)
+ *   TO                 (default: 1250)
+ *   CONCURRENCY        (default: 10)    // users processed in parallel
+ *   DRY_RUN            (default: false) // sign in and list only, delete nothing
+ */
+
+'use strict';
+
+const { authHeader, createRequest } = require('./whisp-http');
+
+const BASE_URL = process.env.WHISP_BASE_URL || 'https://whisp-dev.api.whispchat.com';
+const API_KEY = process.env.WHISP_API_KEY || '8Nj2zKISsZOf0U2IIh2tdpEvvRQVEmVP';
+const USER_PREFIX = process.env.USER_PREFIX || 'user';
+const PASSWORD = process.env.PASSWORD || 'password123';
+const FROM = +(process.env.FROM) || 1;
+const TO = +(process.env.TO) || 1250;
+const CONCURRENCY = +(process.env.CONCURRENCY) || 10;
+const DRY_RUN = (process.env.DRY_RUN || 'false').toLowerCase() === 'true';
+
+const request = createRequest(BASE_URL);
+
+const stats = {
+    users: { deleted: 0, missing: 0, failed: 0 },
+    chats: { deleted: 0, missing: 0, failed: 0 },
+};
+// DRY_RUN: chats shared by several users in range are counted once
+const seenChatIds = new Set();
+
+async function cleanupUser(n) {
+    const username = `${USER_PREFIX}${n}`;
+
+    const login = await request('/api/user/signin', {
+        method: 'POST',
+        headers: { 'x-api-key': API_KEY },
+        body: { username, password: PASSWORD },
+    });
+    if (login.status === 401 || login.status === 404) {
+        stats.users.missing++;
+        return;
+    }
+    const jwt = authHeader(login.headers.get('authorization'));
+    if (login.status !== 200 || !jwt) {
+        stats.users.failed++;
+        console.error(`${username}: signin returned ${login.status}`);
+        return;
+    }
+
+    const list = await request('/api/chat/getChats', { headers: { Authorization: jwt } });
+    if (list.status !== 200 || !list.body || !Array.isArray(list.body.chats)) {
+        stats.users.failed++;
+        console.error(`${username}: getChats returned ${list.status}`);
+        return;
+    }
+
+    for (const chat of list.body.chats) {
+        if (DRY_RUN) {
+            if (!seenChatIds.has(chat.chatId)) stats.chats.deleted++;
+            seenChatIds.add(chat.chatId);
+            continue;
+        }
+        const res = await request(`/api/chat/deleteChat?chatId=${encodeURIComponent(chat.chatId)}`, {
+            method: 'DELETE',
+            headers: { Authorization: jwt },
+        });
+        // Another member may have deleted a shared chat in the meantime
+        if (res.status === 200) stats.chats.deleted++;
+        else if (res.status === 404) stats.chats.missing++;
+        else {
+            stats.chats.failed++;
+            console.error(`${username}: deleteChat ${chat.chatId} returned ${res.status}`);
+        }
+    }
+
+    if (DRY_RUN) {
+        stats.users.deleted++;
+        return;
+    }
+    const del = await request('/api/user/deleteUser', { method: 'DELETE', headers: { Authorization: jwt } });
+    if (del.status === 200) stats.users.deleted++;
+    else {
+        stats.users.failed++;
+        console.error(`${username}: deleteUser returned ${del.status}`);
+    }
+}
+
+async function main() {
+    console.log(`Whisp cleanup: ${USER_PREFIX}${FROM}..${USER_PREFIX}${TO} on ${BASE_URL}${DRY_RUN ? ' (DRY RUN)' : ''}`);
+
+    let next = FROM;
+    async function worker() {
+        while (next <= TO) {
+            const n = next++;
+            try {
+                await cleanupUser(n);
+            } catch (e) {
+                stats.users.failed++;
+                console.error(`${USER_PREFIX}${n}: ${e.message}`);
+            }
+        }
+    }
+    await Promise.all(Array.from({ length: CONCURRENCY }, worker));
+
+    const verb = DRY_RUN ? 'would delete' : 'deleted';
+    console.log(`\nUsers: ${verb} ${stats.users.deleted}, missing ${stats.users.missing}, failed ${stats.users.failed}`);
+    console.log(`Chats: ${verb} ${stats.chats.deleted}, missing ${stats.chats.missing}, failed ${stats.chats.failed}`);
+
+    if (stats.users.failed || stats.chats.failed) process.exit(1);
+}
+
+main().catch((e) => {
+    console.error('\nCLEANUP FAILED:\n', e && e.stack ? e.stack : e);
+    process.exit(1);
+});
@@ -0,0 +1,223 @@
+/* whisp-compare.js
+ *
+ * Run-to-run regression check for k6-ws-new.js (Node.js).
+ *
+ * Compares two RUN_SUMMARY files written by k6-ws-new.js (see lib/runsummary.js)
+ * and flags every metric stat that got worse by more than its tolerance.
+ * Exits 1 when there is at least one regression.
+ *
+ *   k6 run -e GIT_COMMIT=$(git rev-parse --short HEAD) -e RUN_SUMMARY=baseline.json k6-ws-new.js
+ *   ...
+ *   BASELINE=baseline.json CURRENT=run-summary.json node whisp-compare.js
+ *
+ * A stat regresses when it moves in its worse direction by more than
+ * max(absolute, relative * |baseline|). Directions are inferred from the
+ * metric type and name (timings: lower is better; error, loss and violation
+ * counters: lower; sent / received / reached totals and success rates: higher);
+ * anything else is listed as changed but never judged. Counters k6 left out of
+ * a summary had no samples and count as 0. Trends carry the stats of the ws
+ * script's summaryTrendStats (avg, min, med, max, p(90), p(95), p(99) and any
+ * the SLO file adds); a rule naming another stat never fires.
+ *
+ * Tolerance file (JSON), every field optional:
+ *   {
+ *     default: { relative: 0.1 },                       // applies to every metric
+ *     metrics: {
+ *       'chat_message_rtt_ms': { stats: ['p(95)', 'p(99)'], relative: 0.2, absolute: 50 },
+ *       'ws_error_count':      { absolute: 10 },
+ *       'ws_session_duration': { better: 'higher' },     // 'lower' | 'higher' | 'none'
+ *       'data_received':       { ignore: true },
+ *     },
+ *   }
+ *
+ * Env vars:
+ *   BASELINE        (required)                  // summary of the reference run
+ *   CURRENT         (default: run-summary.json) // summary of the run under test
+ *   TOLERANCE       (default: 0.1)              // default relative tolerance of trends and counters
+ *   TOLERANCE_FILE  (default: unset)            // per-metric overrides, see above
+ *   REPORT_FILE     (default: unset)            // also write the comparison as JSON
+ */
+
+'use strict';
+
+const fs = require('fs');
+
+const BASELINE = process.env.BASELINE || '';
+const CURRENT = process.env.CURRENT || 'run-summary.json';
+const TOLERANCE = process.env.TOLERANCE !== undefined ? +process.env.TOLERANCE : 0.1;
+const TOLERANCE_FILE = process.env.TOLERANCE_FILE || '';
+const REPORT_FILE = process.env.REPORT_FILE || '';
+
+// Stats compared per metric type unless a rule names its own
+const DEFAULT_STATS = {
+    trend: ['avg', 'med', 'p(90)', 'p(95)', 'p(99)'],
+    counter: ['count'],
+    rate: ['rate'],
+    gauge: [],
+};
+// Noise floors per type: a 2ms -> 3ms move is not a regression. Rates are
+// judged in absolute points only: 10% of a 0.999 success rate hides a lot.
+const DEFAULT_ABSOLUTE = { trend: 10, counter: 0, rate: 0.005, gauge: 0 };
+const DEFAULT_RELATIVE = { trend: TOLERANCE, counter: TOLERANCE, rate: 0, gauge: 0 };
+
+const LOWER_IS_WORSE = /messages_(sent|received)|recipients_reached|success|^checks$/;
+const HIGHER_IS_WORSE = /error|fail|missing|lost|dropped|undelivered|duplicate|out_of_order|out_of_window|corrupted|unexpected|malformed|violation|rejected|timeout/;
+const NOT_JUDGED = /session_duration|iteration_duration/;
+
+function readSummary(file) {
+    const s = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!s || !s.meta || !s.metrics) throw new Error(`${file} is not a k6-ws-new.js RUN_SUMMARY file`);
+    return s;
+}
+
+function baseName(metric) {
+    const brace = metric.indexOf('{');
+    return brace < 0 ? metric : metric.slice(0, brace);
+}
+
+function inferBetter(metric, type) {
+    const name = baseName(metric);
+    if (NOT_JUDGED.test(name) || type === 'gauge') return 'none';
+    if (LOWER_IS_WORSE.test(name)) return 'higher';
+    if (HIGHER_IS_WORSE.test(name)) return 'lower';
+    return type === 'trend' ? 'lower' : 'none';
+}
+
+function ruleFor(metric, type, tolerances) {
+    const own = (tolerances.metrics || {})[metric] || (tolerances.metrics || {})[baseName(metric)] || {};
+    return {
+        stats: DEFAULT_STATS[type] || [],
+        relative: DEFAULT_RELATIVE[type] || 0,
+        absolute: DEFAULT_ABSOLUTE[type] || 0,
+        better: inferBetter(metric, type),
+        ignore: false,
+        ...tolerances.default,
+        ...own,
+    };
+}
+
+// Counters without samples are left out of the k6 summary; they counted 0
+function valuesOf(summary, metric, type) {
+    const m = summary.metrics[metric];
+    if (m) return m.values;
+    return type === 'counter' ? { count: 0, rate: 0 } : null;
+}
+
+function configDiff(base, cur) {
+    const diffs = [];
+    for (const key of ['apiHost', 'wsHost']) {
+        if (base.meta[key] !== cur.meta[key]) diffs.push({ key, baseline: base.meta[key], current: cur.meta[key] });
+    }
+    const a = base.meta.config || {};
+    const b = cur.meta.config || {};
+    for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+        if (JSON.stringify(a[key]) !== JSON.stringify(b[key])) diffs.push({ key, baseline: a[key], current: b[key] });
+    }
+    return diffs;
+}
+
+function compare(base, cur, tolerances) {
+    const result = { regressions: [], improvements: [], changed: [], noData: [] };
+    const names = [...new Set([...Object.keys(base.metrics), ...Object.keys(cur.metrics)])].sort();
+
+    for (const metric of names) {
+        const type = (base.metrics[metric] || cur.metrics[metric]).type;
+        const rule = ruleFor(metric, type, tolerances);
+        if (rule.ignore) continue;
+
+        const before = valuesOf(base, metric, type);
+        const after = valuesOf(cur, metric, type);
+        if (!before || !after) {
+            result.noData.push({ metric, missingIn: before ? 'current' : 'baseline' });
+            continue;
+        }
+
+        for (const stat of rule.stats) {
+            const b = before[stat];
+            const c = after[stat];
+            if (typeof b !== 'number' || typeof c !== 'number' || b === c) continue;
+
+            const allowed = Math.max(rule.absolute, rule.relative * Math.abs(b));
+            const delta = c - b;
+            const entry = { metric, stat, baseline: b, current: c, delta, allowed, better: rule.better };
+            if (rule.better === 'none') {
+                result.changed.push(entry);
+                continue;
+            }
+            const worse = rule.better === 'lower' ? delta > 0 : delta < 0;
+            if (Math.abs(delta) <= allowed) continue;
+            (worse ? result.regressions : result.improvements).push(entry);
+        }
+    }
+    return result;
+}
+
+function formatNumber(v) {
+    return Number.isInteger(v) ? `${v}` : v.toFixed(3);
+}
+
+function formatEntry(e) {
+    const pct = e.baseline !== 0 ? ` (${e.delta > 0 ? '+' : ''}${((100 * e.delta) / Math.abs(e.baseline)).toFixed(1)}%)` : '';
+    return `  ${`${e.metric} ${e.stat}`.padEnd(60)} ${formatNumber(e.baseline)} -> ${formatNumber(e.current)}${pct}` +
+        `  allowed ±${formatNumber(e.allowed)}`;
+}
+
+function describeRun(file, s) {
+    const m = s.meta;
+    return `${file} (${[m.label, m.gitCommit, m.finishedAt].filter(Boolean).join(', ')})`;
+}
+
+function main() {
+    if (!BASELINE) {
+        console.error('Missing required env var: BASELINE (RUN_SUMMARY file of the reference run)');
+        process.exit(1);
+    }
+    const base = readSummary(BASELINE);
+    const cur = readSummary(CURRENT);
+    const tolerances = TOLERANCE_FILE ? JSON.parse(fs.readFileSync(TOLERANCE_FILE, 'utf8')) : {};
+
+    console.log(`Whisp compare: ${describeRun(CURRENT, cur)}`);
+    console.log(`      against: ${describeRun(BASELINE, base)}`);
+
+    const diffs = configDiff(base, cur);
+    if (diffs.length) {
+        console.log('\nWARNING: the runs were not configured alike; some differences are expected');
+        for (const d of diffs) console.log(`  ${d.key}: ${JSON.stringify(d.baseline)} -> ${JSON.stringify(d.current)}`);
+    }
+
+    const result = compare(base, cur, tolerances);
+    if (result.regressions.length) {
+        console.log('\nREGRESSIONS:');
+        result.regressions.forEach((e) => console.log(formatEntry(e)));
+    }
+    if (result.improvements.length) {
+        console.log('\nimprovements:');
+        result.improvements.forEach((e) => console.log(formatEntry(e)));
+    }
+    if (result.noData.length) {
+        console.log('\nno data:');
+        result.noData.forEach((e) => console.log(`  ${e.metric} (missing in ${e.missingIn})`));
+    }
+
+    console.log(`\nRegressions: ${result.regressions.length}, improvements: ${result.improvements.length}, ` +
+        `changed without a direction: ${result.changed.length}, no data: ${result.noData.length}`);
+
+    if (REPORT_FILE) {
+        fs.writeFileSync(REPORT_FILE, JSON.stringify({
+            baseline: { file: BASELINE, meta: base.meta },
+            current: { file: CURRENT, meta: cur.meta },
+            configDiff: diffs,
+            ...result,
+        }, null, 2));
+        console.log(`Report: ${REPORT_FILE}`);
+    }
+
+    if (result.regressions.length) process.exit(1);
+}
+
+try {
+    main();
+} catch (e) {
+    console.error('\nCOMPARE FAILED:\n', e && e.stack ? e.stack : e);
+    process.exit(1);
+}
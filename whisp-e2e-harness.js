@@ -0,0 +1,183 @@
+/* whisp-e2e-harness.js
+ *
+ * Minimal test-case runner for whisp-e2e.js (Node.js).
+ *
+ * - Named cases with optional per-case setup/teardown
+ * - A failing case does not stop the run; cases that depend on it are skipped
+ * - Per-case timing, console output, JUnit XML and TAP reports
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const CASE_TIMEOUT_MS = +(process.env.WHISP_CASE_TIMEOUT_MS) || 120_000;
+
+function withTimeout(promise, ms, what) {
+    let t;
+    const timeout = new Promise((_, reject) => {
+        t = setTimeout(() => reject(new Error(`${what} timed out after ${ms} ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(t));
+}
+
+function errorText(e) {
+    return e && e.stack ? e.stack : String(e);
+}
+
+/**
+ * createSuite(name) -> { test, run }
+ *
+ * test(name, fn, { setup, teardown, dependsOn, skip })
+ *   setup()        returns the context passed to fn and teardown
+ *   fn(ctx)        the case body; throw to fail
+ *   teardown(ctx)  always runs once setup succeeded; its error fails a passing case
+ *   dependsOn      names of cases that must have passed, otherwise this one is skipped
+ *   skip           true or a reason string
+ *
+ * run() executes the cases in registration order and resolves to the results.
+ */
+function createSuite(name) {
+    const cases = [];
+
+    function test(caseName, fn, opts = {}) {
+        cases.push({ name: caseName, fn, ...opts });
+    }
+
+    async function runCase(c, byName) {
+        const started = Date.now();
+        const result = { name: c.name, status: 'passed', durationMs: 0, error: null, skipReason: null };
+
+        const failedDep = (c.dependsOn || []).find((d) => !byName[d] || byName[d].status !== 'passed');
+        if (c.skip || failedDep) {
+            result.status = 'skipped';
+            result.skipReason = failedDep ? `depends on "${failedDep}"` : (typeof c.skip === 'string' ? c.skip : 'skipped');
+            return result;
+        }
+
+        let ctx;
+        let setupOk = false;
+        try {
+            ctx = c.setup ? await withTimeout(Promise.resolve(c.setup()), CASE_TIMEOUT_MS, 'setup') : {};
+            setupOk = true;
+            await withTimeout(Promise.resolve(c.fn(ctx)), CASE_TIMEOUT_MS, 'test');
+        } catch (e) {
+            result.status = 'failed';
+            result.error = setupOk ? e : new Error(`setup failed: ${errorText(e)}`);
+        }
+
+        if (setupOk && c.teardown) {
+            try {
+                await withTimeout(Promise.resolve(c.teardown(ctx)), CASE_TIMEOUT_MS, 'teardown');
+            } catch (e) {
+                if (result.status === 'passed') {
+                    result.status = 'failed';
+                    result.error = new Error(`teardown failed: ${errorText(e)}`);
+                } else {
+                    console.error(`  (teardown also failed: ${e.message})`);
+                }
+            }
+        }
+
+        result.durationMs = Date.now() - started;
+        return result;
+    }
+
+    async function run() {
+        const results = [];
+        const byName = {};
+
+        for (const c of cases) {
+            console.log(`\n=== ${c.name} ===`);
+            const r = await runCase(c, byName);
+            byName[c.name] = r;
+            results.push(r);
+
+            if (r.status === 'passed') console.log(`--- ok: ${c.name} (${r.durationMs} ms)`);
+            else if (r.status === 'skipped') console.log(`--- skipped: ${c.name} (${r.skipReason})`);
+            else console.error(`--- FAILED: ${c.name} (${r.durationMs} ms)\n${errorText(r.error)}`);
+        }
+
+        return { name, results };
+    }
+
+    return { test, run };
+}
+
+function xmlEscape(s) {
+    return String(s)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, '');
+}
+
+function toJUnit({ name, results }) {
+    const failures = results.filter((r) => r.status === 'failed').length;
+    const skipped = results.filter((r) => r.status === 'skipped').length;
+    const total = results.reduce((acc, r) => acc + r.durationMs, 0) / 1000;
+
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="${xmlEscape(name)}" tests="${results.length}" failures="${failures}" skipped="${skipped}" time="${total.toFixed(3)}">`,
+        `  <testsuite name="${xmlEscape(name)}" tests="${results.length}" failures="${failures}" skipped="${skipped}" time="${total.toFixed(3)}" timestamp="${new Date().toISOString()}">`,
+    ];
+    for (const r of results) {
+        const open = `    <testcase classname="${xmlEscape(name)}" name="${xmlEscape(r.name)}" time="${(r.durationMs / 1000).toFixed(3)}"`;
+        if (r.status === 'passed') {
+            lines.push(`${open}/>`);
+        } else if (r.status === 'skipped') {
+            lines.push(`${open}>`, `      <skipped message="${xmlEscape(r.skipReason)}"/>`, '    </testcase>');
+        } else {
+            lines.push(
+                `${open}>`,
+                `      <failure message="${xmlEscape(r.error && r.error.message)}">${xmlEscape(errorText(r.error))}</failure>`,
+                '    </testcase>'
+            );
+        }
+    }
+    lines.push('  </testsuite>', '</testsuites>', '');
+    return lines.join('\n');
+}
+
+function toTap({ results }) {
+    const lines = ['TAP version 13', `1..${results.length}`];
+    results.forEach((r, i) => {
+        const n = i + 1;
+        if (r.status === 'passed') {
+            lines.push(`ok ${n} - ${r.name} # time=${r.durationMs}ms`);
+        } else if (r.status === 'skipped') {
+            lines.push(`ok ${n} - ${r.name} # SKIP ${r.skipReason}`);
+        } else {
+            lines.push(`not ok ${n} - ${r.name} # time=${r.durationMs}ms`);
+            lines.push('  ---');
+            lines.push(`  message: ${JSON.stringify(r.error ? r.error.message : 'failed')}`);
+            lines.push('  stack: |');
+            for (const l of errorText(r.error).split('\n')) lines.push(`    ${l}`);
+            lines.push('  ...');
+        }
+    });
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Prints the summary line and writes <dir>/<suite>.junit.xml and <dir>/<suite>.tap.
+ * Returns true when nothing failed.
+ */
+function report(run, dir) {
+    const count = (s) => run.results.filter((r) => r.status === s).length;
+    console.log(`\n${run.name}: ${count('passed')} passed, ${count('failed')} failed, ${count('skipped')} skipped`);
+
+    fs.mkdirSync(dir, { recursive: true });
+    const junitPath = path.join(dir, `${run.name}.junit.xml`);
+    const tapPath = path.join(dir, `${run.name}.tap`);
+    fs.writeFileSync(junitPath, toJUnit(run));
+    fs.writeFileSync(tapPath, toTap(run));
+    console.log(`Reports: ${junitPath}, ${tapPath}`);
+
+    return count('failed') === 0;
+}
+
+module.exports = { createSuite, toJUnit, toTap, report };
@@ -8,20 +8,42 @@
 
 'use strict';
 
+const fs = require('fs');
+const path = require('path');
 const { Client: StompClient } = require('@stomp/stompjs');
 const SockJS = require('sockjs-client');
 const WebSocket = require('ws');
+const { createSuite, report } = require('./whisp-e2e-harness');
+const { authHeader, createRequest } = require('./whisp-http');
+const { validate: validateContract } = require('./lib/contracts.js');
+const payload = require('./lib/payload.js');
 global.WebSocket = WebSocket;
 
-const BASE_URL = "https://whisp-dev.api.whispchat.com"; //mustGetEnv('WHISP_BASE_URL');
-const API_KEY = "8Nj2zKISsZOf0U2IIh2tdpEvvRQVEmVP"; //mustGetEnv('WHISP_API_KEY');
+const BASE_URL = process.env.WHISP_BASE_URL || "https://whisp-dev.api.whispchat.com"; //mustGetEnv('WHISP_BASE_URL');
+const API_KEY = process.env.WHISP_API_KEY || "8Nj2zKISsZOf0U2IIh2tdpEvvRQVEmVP"; //mustGetEnv('WHISP_API_KEY');
 const PASSWORD = process.env.WHISP_PASSWORD || 'ChangeMe!12345';
 const RUN_NEGATIVE = (process.env.WHISP_RUN_NEGATIVE || 'false').toLowerCase() === 'true';
+const REPORT_DIR = process.env.WHISP_REPORT_DIR || 'reports'; // JUnit XML + TAP output
 
 // Timeouts
-const HTTP_TIMEOUT_MS = 20_000;
 const WS_CONNECT_TIMEOUT_MS = 20_000;
 const WS_MESSAGE_TIMEOUT_MS = 20_000;
+// Server-side ticket lifetime; unset skips the expiry case, which has to sleep through it
+const TICKET_TTL_MS = +(process.env.WHISP_TICKET_TTL_MS) || 0;
+const REVOCATION_TIMEOUT_MS = +(process.env.WHISP_REVOCATION_TIMEOUT_MS) || 10_000; // max logoutAll propagation
+const REVOCATION_PROBES = +(process.env.WHISP_REVOCATION_PROBES) || 5; // consecutive rejections = reached every node
+const SILENCE_MS = 3_000; // default window for "no message arrives" assertions
+const GROUP_SIZE = +(process.env.WHISP_GROUP_SIZE) || 5; // members in the fan-out chat
+const GROUP_SENDERS = +(process.env.WHISP_GROUP_SENDERS) || 3; // members sending concurrently
+const GROUP_MESSAGES = +(process.env.WHISP_GROUP_MESSAGES) || 3; // messages per sender
+const DUPLICATE_GRACE_MS = 1_000; // extra wait for late duplicates once everything arrived
+// UTF-8 bytes of the message text, at least 10 (tag + ';p='); JSON escaping can make the frame ~6x larger (control kind)
+const PAYLOAD_SIZES = (process.env.WHISP_PAYLOAD_SIZES || '16,64,1024,8192').split(',').map((x) => +x);
+const PAYLOAD_MAX_BYTES = +(process.env.WHISP_PAYLOAD_MAX_BYTES) || 1_048_576; // size-limit probe stops here
+const PROBE_TIMEOUT_MS = 5_000; // a probe message not seen by then counts as dropped
+// true: connectStomp asks for a RECEIPT on SUBSCRIBE and every SEND, and the receipt case runs
+const STOMP_RECEIPTS = (process.env.WHISP_STOMP_RECEIPTS || 'false').toLowerCase() === 'true';
+const RECEIPT_MESSAGES = 5; // SENDs timed by the receipt case
 
 function mustGetEnv(name) {
     const v = process.env[name];
@@ -40,42 +62,23 @@ function randSuffix() {
     return Math.random().toString(36).slice(2, 5);
 }
 
-function authHeader(jwt) {
-    if (!jwt) return undefined;
-    return jwt.toLowerCase().startsWith('bearer ') ? jwt : `Bearer ${jwt}`;
-}
+const request = createRequest(BASE_URL);
 
 function sleep(ms) {
     return new Promise((r) => setTimeout(r, ms));
 }
 
-async function fetchJson(path, { method = 'GET', headers = {}, body, expectStatuses = [200] } = {}) {
-    const url = `${BASE_URL}${path}`;
-
-    const controller = new AbortController();
-    const t = setTimeout(() => controller.abort(), HTTP_TIMEOUT_MS);
-
-    const reqHeaders = {
-        'Content-Type': 'application/json',
-        ...headers,
-    };
-
-    let reqBody = undefined;
-    if (body !== undefined) reqBody = JSON.stringify(body);
-
-    let res;
-    try {
-        res = await fetch(url, { method, headers: reqHeaders, body: reqBody, signal: controller.signal });
-    } catch (e) {
-        clearTimeout(t);
-        throw new Error(`HTTP ${method} ${path} failed: ${e.message}`);
-    } finally {
-        clearTimeout(t);
-    }
+function assertContract(name, value, what) {
+    const errors = validateContract(name, value);
+    assert(!errors.length, `${what} violates contract "${name}":\n  ${errors.join('\n  ')}\n  payload: ${JSON.stringify(value)}`);
+}
 
-    const text = await res.text();
-    const contentType = res.headers.get('content-type') || '';
-    const parsed = contentType.includes('application/json') && text ? safeJson(text) : (text || null);
+/**
+ * `contract` names the lib/contracts.js entry a 2xx body must satisfy.
+ */
+async function fetchJson(path, { method = 'GET', headers = {}, body, expectStatuses = [200], contract } = {}) {
+    const res = await request(path, { method, headers, body });
+    const parsed = res.body;
 
     if (!expectStatuses.includes(res.status)) {
         const authHdr = res.headers.get('authorization');
@@ -88,7 +91,9 @@ async function fetchJson(path, { method = 'GET', headers = {}, body, expectStatu
         );
     }
 
-    return { status: res.status, headers: res.headers, body: parsed };
+    if (contract && res.status >= 200 && res.status < 300) assertContract(contract, parsed, `${method} ${path}`);
+
+    return res;
 }
 
 function safeJson(s) {
@@ -108,150 +113,842 @@ async function main() {
     console.log(`BASE_URL: ${BASE_URL}`);
     console.log(`NEGATIVE TESTS: ${RUN_NEGATIVE}`);
 
-    // Create two distinct users to validate real multi-user flows
-    const sender = mkUser('sender');
-    const receiver = mkUser('receiver');
+    const suite = createSuite('whisp-e2e');
+    defineCases(suite);
+
+    const run = await suite.run();
+    const ok = report(run, REPORT_DIR);
+
+    console.log(`\nWhisp E2E finished ${ok ? 'successfully' : 'with failures'}: ${nowIso()}`);
+    process.exit(ok ? 0 : 1);
+}
+
+// --- Fixtures
+
+async function newUser(label) {
+    const u = mkUser(label);
+    await registerUser(u);
+    await signIn(u);
+    return u;
+}
+
+// Two signed-in users sharing a fresh chat created by the sender
+async function newChatFixture() {
+    const sender = await newUser('sender');
+    const receiver = await newUser('receiver');
+    const chatId = await createChat(sender, `whisp-e2e-chat-${randSuffix()}`, [sender.username, receiver.username]);
+    return { sender, receiver, chatId, clients: [] };
+}
+
+// Best-effort cleanup: log and continue, so teardown never masks the real failure
+async function quietly(what, fn) {
+    try {
+        await fn();
+    } catch (e) {
+        console.warn(`cleanup: ${what} failed: ${String(e.message).split('\n')[0]}`);
+    }
+}
+
+async function removeUsers(...users) {
+    for (const u of users) {
+        if (!u || u.deleted) continue;
+        await quietly(`delete ${u.label}`, async () => {
+            // logoutAll killed the JWT we hold
+            if (u.revoked) await signIn(u);
+            await deleteUser(u);
+        });
+    }
+}
+
+// A second, independent sign-in of the same account
+async function newSession(u, label) {
+    const s = { ...u, label, ticket: null };
+    await signIn(s);
+    return s;
+}
+
+/**
+ * Polls `probe` (resolving to true once the revoked credential is rejected)
+ * until it holds REVOCATION_PROBES times in a row, so that every node behind
+ * the load balancer had a chance to answer. Returns ms since `since`.
+ */
+async function measureRevocation(what, since, probe) {
+    let streak = 0;
+    while (streak < REVOCATION_PROBES) {
+        assert(Date.now() - since <= REVOCATION_TIMEOUT_MS, `${what} still accepted ${REVOCATION_TIMEOUT_MS} ms after revocation`);
+        if (await probe()) streak++;
+        else {
+            streak = 0;
+            await sleep(100);
+        }
+    }
+    const ms = Date.now() - since;
+    console.log(`Revocation of ${what} propagated in ${ms} ms`);
+    return ms;
+}
+
+async function jwtRejected(u) {
+    const res = await fetchJson('/api/user/getUser', {
+        headers: { Authorization: authHeader(u.jwt) },
+        expectStatuses: [200, 401],
+    });
+    return res.status === 401;
+}
 
-    // --- Negative REST probes (optional)
+async function refreshTokenRejected(u) {
+    const res = await fetchJson('/api/auth/refresh', {
+        method: 'POST',
+        headers: { Authorization: authHeader(u.refreshToken) },
+        body: { expiredJwt: u.jwt },
+        expectStatuses: [200, 401],
+    });
+    return res.status === 401;
+}
+
+// Publishes from `sender` until `client` either closes or has stayed silent for SILENCE_MS
+async function expectSessionDead(client, sender, chatId, since) {
+    while (!client.closed && Date.now() - since <= REVOCATION_TIMEOUT_MS) await sleep(50);
+    if (client.closed) {
+        console.log(`Revoked STOMP session closed after ${client.closedAt - since} ms`);
+        return client.closedAt - since;
+    }
+
+    const message = `after-revocation-${randSuffix()}`;
+    sender.publish('/api/chat', { type: 'SEND_MSG', senderId: sender.userId, message, timeStamp: nowIso(), chatId });
+    await client.expectSilence((m) => m.message === message, SILENCE_MS);
+    console.log('Revoked STOMP session stayed open but no longer receives messages');
+    return null;
+}
+
+async function teardownChatFixture(ctx) {
+    for (const c of ctx.clients || []) await quietly('disconnect STOMP client', () => c.disconnect());
+    if (ctx.chatId && !ctx.chatDeleted) await quietly('delete chat', () => deleteChat(ctx.sender, ctx.chatId));
+    await removeUsers(ctx.user, ctx.sender, ctx.receiver, ctx.outsider, ...(ctx.members || []));
+}
+
+// GROUP_SIZE signed-in users in one chat created by the first of them (ctx.sender)
+async function newGroupChatFixture() {
+    const members = [];
+    for (let i = 0; i < GROUP_SIZE; i++) members.push(await newUser(`member${i + 1}`));
+    const chatId = await createChat(members[0], `whisp-e2e-group-${randSuffix()}`, members.map((m) => m.username));
+    return { sender: members[0], members, chatId, clients: [] };
+}
+
+// SEND_MSG body for /api/chat
+function chatMessage(u, chatId, message) {
+    return { type: 'SEND_MSG', senderId: u.userId, message, timeStamp: nowIso(), chatId };
+}
+
+// Connects every given user over STOMP and registers the clients for teardown
+async function connectAll(ctx, ...users) {
+    const clients = [];
+    for (const u of users) {
+        await getTicket(u);
+        const c = await connectStomp(u, ctx.chatId);
+        ctx.clients.push(c);
+        clients.push(c);
+    }
+    return clients;
+}
+
+// Where two strings first differ, for readable byte-identity failures
+function describeMismatch(expected, actual) {
+    let i = 0;
+    while (i < expected.length && expected[i] === actual[i]) i++;
+    return `lengths ${expected.length}/${actual.length} chars, first difference at char ${i}: ` +
+        `expected ${JSON.stringify(expected.slice(i, i + 12))}, got ${JSON.stringify(String(actual).slice(i, i + 12))}`;
+}
+
+/**
+ * Sends `content` from ctx.senderWs (reconnecting it if the server closed it)
+ * and classifies what ctx.receiverWs saw: { outcome, received }, outcome being
+ * 'ok' | 'truncated' | 'altered' | 'rejected' (sender connection closed) | 'dropped'.
+ */
+async function probeContent(ctx, content) {
+    const { sender, chatId } = ctx;
+    if (!ctx.senderWs || ctx.senderWs.closed) {
+        await getTicket(sender);
+        ctx.senderWs = await connectStomp(sender, chatId);
+        ctx.clients.push(ctx.senderWs);
+    }
+    const tag = content.slice(0, content.indexOf(';p=') >= 0 ? content.indexOf(';p=') : content.length);
+    const matches = (m) => typeof m.message === 'string' && m.message.startsWith(tag);
+
+    ctx.senderWs.publish('/api/chat', chatMessage(sender, chatId, content));
+    const started = Date.now();
+    for (;;) {
+        const got = ctx.receiverWs.messages().find(({ body }) => matches(body));
+        if (got) {
+            const received = got.body.message;
+            if (received === content) return { outcome: 'ok', received };
+            return { outcome: content.startsWith(received) ? 'truncated' : 'altered', received };
+        }
+        if (ctx.senderWs.closed) return { outcome: 'rejected', received: null };
+        if (Date.now() - started > PROBE_TIMEOUT_MS) return { outcome: 'dropped', received: null };
+        await sleep(50);
+    }
+}
+
+function percentile(sorted, p) {
+    if (!sorted.length) return null;
+    return sorted[Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length))];
+}
+
+// A chat fixture plus a signed-in user who is not a member of it
+async function newForeignChatFixture() {
+    const ctx = await newChatFixture();
+    ctx.outsider = await newUser('outsider');
+    return ctx;
+}
+
+// Authorization matrix: calls a non-member must not be allowed to make on someone else's chat
+const NON_MEMBER_CALLS = [
+    ['getMessages', (u, chatId) => fetchJson(`/api/messages/getMessages/${encodeURIComponent(chatId)}`, {
+        headers: { Authorization: authHeader(u.jwt) }, expectStatuses: [403],
+    })],
+    ['getUsers', (u, chatId) => fetchJson(`/api/chat/getUsers/${encodeURIComponent(chatId)}`, {
+        headers: { Authorization: authHeader(u.jwt) }, expectStatuses: [403],
+    })],
+    ['changeName', (u, chatId) => fetchJson('/api/chat/changeName', {
+        method: 'POST', headers: { Authorization: authHeader(u.jwt) },
+        body: { chatId, newChatName: `hijacked-${randSuffix()}` }, expectStatuses: [403],
+    })],
+    ['addUser', (u, chatId) => fetchJson('/api/chat/addUser', {
+        method: 'POST', headers: { Authorization: authHeader(u.jwt) },
+        body: { chatId, newUsername: u.username }, expectStatuses: [403],
+    })],
+    ['deleteChat', (u, chatId) => fetchJson(`/api/chat/deleteChat?chatId=${encodeURIComponent(chatId)}`, {
+        method: 'DELETE', headers: { Authorization: authHeader(u.jwt) }, expectStatuses: [403],
+    })],
+];
+
+// Register/signin with a missing or wrong x-api-key; 401 and 403 both count as rejected
+const API_KEY_VARIANTS = [
+    ['without x-api-key', {}],
+    ['with wrong x-api-key', { 'x-api-key': `wrong-${randSuffix()}` }],
+];
+
+// --- Test cases
+
+function defineCases(suite) {
     if (RUN_NEGATIVE) {
-        logStep('NEGATIVE: getUser without JWT should 401');
-        await fetchJson('/api/user/getUser', { method: 'GET', expectStatuses: [401] });
-
-        logStep('NEGATIVE: getUser with invalid JWT should 401');
-        await fetchJson('/api/user/getUser', {
-            method: 'GET',
-            headers: { Authorization: 'Bearer invalid.jwt.token' },
-            expectStatuses: [401],
+        suite.test('negative: getUser without JWT is 401', async () => {
+            await fetchJson('/api/user/getUser', { method: 'GET', expectStatuses: [401] });
+        });
+
+        suite.test('negative: getUser with invalid JWT is 401', async () => {
+            await fetchJson('/api/user/getUser', {
+                method: 'GET',
+                headers: { Authorization: 'Bearer invalid.jwt.token' },
+                expectStatuses: [401],
+            });
+        });
+
+        for (const [call, attempt] of NON_MEMBER_CALLS) {
+            suite.test(`negative: non-member ${call} on someone else's chat is 403`, async ({ sender, outsider, chatId }) => {
+                await attempt(outsider, chatId);
+
+                // The chat and its membership must be untouched
+                const users = await getUsersInChat(sender, chatId);
+                assert(users.length === 2, `chat membership changed after rejected ${call}`);
+                assert(!users.some((x) => x.id === outsider.userId), `outsider got into the chat via ${call}`);
+            }, {
+                setup: newForeignChatFixture,
+                teardown: teardownChatFixture,
+            });
+        }
+
+        suite.test('negative: removeUser of a different user is 403', async ({ sender, receiver, chatId }) => {
+            await fetchJson('/api/chat/removeUser', {
+                method: 'POST',
+                headers: { Authorization: authHeader(receiver.jwt) },
+                body: { chatId, removeUser: sender.userId },
+                expectStatuses: [403],
+            });
+            const users = await getUsersInChat(sender, chatId);
+            assert(users.some((x) => x.id === sender.userId), 'sender was removed by another member');
+        }, {
+            setup: newChatFixture,
+            teardown: teardownChatFixture,
+        });
+
+        for (const [variant, headers] of API_KEY_VARIANTS) {
+            suite.test(`negative: registerUser ${variant} is rejected`, async () => {
+                const u = mkUser('nokey');
+                await fetchJson('/api/user/registerUser', {
+                    method: 'POST',
+                    headers,
+                    body: { username: u.username, firstName: u.firstName, surName: u.surName, email: u.email, password: u.password },
+                    expectStatuses: [401, 403],
+                });
+            });
+
+            suite.test(`negative: signin ${variant} is rejected`, async ({ user }) => {
+                await fetchJson('/api/user/signin', {
+                    method: 'POST',
+                    headers,
+                    body: { username: user.username, password: user.password },
+                    expectStatuses: [401, 403],
+                });
+            }, {
+                setup: async () => ({ user: await newUser('nokey') }),
+                teardown: ({ user }) => removeUsers(user),
+            });
+        }
+
+        suite.test('negative: refresh token reused after logout is 401', async ({ user }) => {
+            await logout(user);
+            await fetchJson('/api/auth/refresh', {
+                method: 'POST',
+                headers: { Authorization: authHeader(user.refreshToken) },
+                body: { expiredJwt: user.jwt },
+                expectStatuses: [401],
+            });
+        }, {
+            setup: async () => ({ user: await newUser('sender') }),
+            teardown: ({ user }) => removeUsers(user),
         });
     }
 
-    // --- Register users
-    logStep('Register sender');
-    await registerUser(sender);
+    suite.test('user: register and sign in', async (ctx) => {
+        ctx.user = mkUser('sender');
+        await registerUser(ctx.user);
+        await signIn(ctx.user);
+    }, {
+        setup: () => ({}),
+        teardown: (ctx) => removeUsers(ctx.user),
+    });
 
-    logStep('Register receiver');
-    await registerUser(receiver);
+    suite.test('user: change username (/api/user/changeUsername)', async ({ user }) => {
+        await changeUsername(user, `receiver_${randSuffix()}`);
+        const me = await getCurrentUser(user);
+        assert(me.id === user.userId, 'getUser after changeUsername should return the same user');
+    }, {
+        setup: async () => ({ user: await newUser('receiver') }),
+        teardown: ({ user }) => removeUsers(user),
+        dependsOn: ['user: register and sign in'],
+    });
 
-    // --- Sign in users
-    logStep('Sign in sender');
-    await signIn(sender);
+    suite.test('user: get current user (/api/user/getUser)', async ({ user }) => {
+        const me = await getCurrentUser(user);
+        assert(me.id === user.userId, 'getUser should return the signed-in user');
+    }, {
+        setup: async () => ({ user: await newUser('sender') }),
+        teardown: ({ user }) => removeUsers(user),
+        dependsOn: ['user: register and sign in'],
+    });
 
-    logStep('Sign in receiver');
-    await signIn(receiver);
+    suite.test('auth: refresh JWT (/api/auth/refresh)', async ({ user }) => {
+        await refreshJwt(user);
+        await getCurrentUser(user);
+    }, {
+        setup: async () => ({ user: await newUser('sender') }),
+        teardown: ({ user }) => removeUsers(user),
+        dependsOn: ['user: register and sign in'],
+    });
 
-    // --- Change username (exercise endpoint)
-    logStep('Change receiver username (exercises /api/user/changeUsername)');
-    const newReceiverUsername = `receiver_${randSuffix()}`;
-    await changeUsername(receiver, newReceiverUsername);
+    suite.test('chat: create, list and get users', async ({ sender, receiver, chatId }) => {
+        for (const u of [sender, receiver]) {
+            const chats = await listChats(u);
+            assert(chats.some((c) => c.chatId === chatId), `getChats for ${u.label} should include the new chat`);
+        }
+        const users = await getUsersInChat(sender, chatId);
+        assert(users.length === 2, 'getUsers should list both members');
+    }, {
+        setup: newChatFixture,
+        teardown: teardownChatFixture,
+        dependsOn: ['user: register and sign in'],
+    });
 
-    // --- Get current user
-    logStep('Get sender current user (/api/user/getUser)');
-    await getCurrentUser(sender);
+    suite.test('chat: change name (/api/chat/changeName)', async ({ sender, chatId }) => {
+        await changeChatName(sender, chatId, `whisp-e2e-renamed-${randSuffix()}`);
+    }, {
+        setup: newChatFixture,
+        teardown: teardownChatFixture,
+        dependsOn: ['chat: create, list and get users'],
+    });
 
-    logStep('Get receiver current user (/api/user/getUser)');
-    await getCurrentUser(receiver);
+    suite.test('chat: receiver leaves and is added back', async ({ sender, receiver, chatId }) => {
+        logStep('Receiver leaves chat (/api/chat/removeUser)');
+        await removeUser(receiver, chatId, receiver.userId);
 
-    // --- Refresh JWT (exercise endpoint)
-    logStep('Refresh sender JWT (/api/auth/refresh)');
-    await refreshJwt(sender);
+        logStep('Sender adds receiver back (/api/chat/addUser)');
+        await addUser(sender, chatId, receiver.username);
 
-    // --- Create chat with both users
-    logStep('Create chat (/api/chat/createChat)');
-    const chatId = await createChat(sender, `whisp-e2e-chat-${randSuffix()}`, [sender.username, receiver.username]);
+        const users = await getUsersInChat(sender, chatId);
+        assert(users.length === 2, 'receiver should be back in the chat');
+    }, {
+        setup: newChatFixture,
+        teardown: teardownChatFixture,
+        dependsOn: ['chat: create, list and get users'],
+    });
 
-    // --- List chats
-    logStep('List chats sender (/api/chat/getChats)');
-    await listChats(sender);
+    suite.test('ws: get ticket (/api/user/getTicket)', async ({ user }) => {
+        await getTicket(user);
+    }, {
+        setup: async () => ({ user: await newUser('sender') }),
+        teardown: ({ user }) => removeUsers(user),
+        dependsOn: ['user: register and sign in'],
+    });
 
-    logStep('List chats receiver (/api/chat/getChats)');
-    await listChats(receiver);
+    suite.test('ticket: cannot be reused for a second connection', async (ctx) => {
+        const { user } = ctx;
+        const ticket = await getTicket(user);
+        ctx.clients.push(await connectStomp(user, null));
+        await expectStompRejected(user, { ticket }, 'reused ticket');
+    }, {
+        setup: async () => ({ user: await newUser('sender'), clients: [] }),
+        teardown: teardownChatFixture,
+        dependsOn: ['ws: get ticket (/api/user/getTicket)'],
+    });
 
-    // --- Get users in chat
-    logStep('Get users in chat (/api/chat/getUsers/{chatId})');
-    await getUsersInChat(sender, chatId);
+    suite.test('ticket: expires after its TTL', async ({ user }) => {
+        const ticket = await getTicket(user);
+        console.log(`Waiting ${TICKET_TTL_MS + 1000} ms for the ticket to expire (WHISP_TICKET_TTL_MS)`);
+        await sleep(TICKET_TTL_MS + 1000);
+        await expectStompRejected(user, { ticket }, 'expired ticket');
+    }, {
+        setup: async () => ({ user: await newUser('sender') }),
+        teardown: ({ user }) => removeUsers(user),
+        dependsOn: ['ws: get ticket (/api/user/getTicket)'],
+        skip: !TICKET_TTL_MS && 'set WHISP_TICKET_TTL_MS to the server ticket lifetime to wait for expiry',
+    });
 
-    // --- Get websocket tickets
-    logStep('Get websocket ticket sender (/api/user/getTicket)');
-    await getTicket(sender);
+    suite.test("ticket: user A's ticket with user B's JWT is rejected", async ({ sender, receiver }) => {
+        const ticket = await getTicket(sender);
+        await expectStompRejected(receiver, { ticket, jwt: receiver.jwt }, "A's ticket + B's JWT");
+    }, {
+        setup: async () => ({ sender: await newUser('sender'), receiver: await newUser('receiver') }),
+        teardown: teardownChatFixture,
+        dependsOn: ['ws: get ticket (/api/user/getTicket)'],
+    });
 
-    logStep('Get websocket ticket receiver (/api/user/getTicket)');
-    await getTicket(receiver);
+    suite.test('ticket: missing or malformed ticket fails the handshake', async ({ user }) => {
+        await expectStompRejected(user, { ticket: null }, 'no ticket');
+        await expectStompRejected(user, { ticket: 'not-a-real-ticket' }, 'malformed ticket');
+        await expectStompRejected(user, { ticket: '' }, 'empty ticket');
+    }, {
+        setup: async () => ({ user: await newUser('sender') }),
+        teardown: ({ user }) => removeUsers(user),
+        dependsOn: ['ws: get ticket (/api/user/getTicket)'],
+    });
 
-    // --- Connect STOMP clients (two separate clients)
-    logStep('Connect STOMP receiver + subscribe');
-    const receiverWs = await connectStomp(receiver, chatId);
+    suite.test('ticket: tickets issued before logoutAll stop working', async ({ user }) => {
+        const ticket = await getTicket(user);
+        await logoutAll(user);
+        await signIn(user); // fresh JWT, so only the ticket is stale
+        await expectStompRejected(user, { ticket }, 'ticket issued before logoutAll');
+    }, {
+        setup: async () => ({ user: await newUser('sender') }),
+        teardown: ({ user }) => removeUsers(user),
+        dependsOn: ['ws: get ticket (/api/user/getTicket)'],
+    });
 
-    logStep('Connect STOMP sender');
-    const senderWs = await connectStomp(sender, chatId);
+    suite.test('stomp: SEND_MSG reaches receiver and message history', async (ctx) => {
+        const { sender, receiver, chatId } = ctx;
+
+        logStep('Connect STOMP receiver + sender');
+        await getTicket(receiver);
+        const receiverWs = await connectStomp(receiver, chatId);
+        ctx.clients.push(receiverWs);
+
+        await getTicket(sender);
+        const senderWs = await connectStomp(sender, chatId);
+        ctx.clients.push(senderWs);
+
+        await sleep(5000);
+
+        logStep('STOMP: sender sends SEND_MSG, receiver must receive');
+        const sendPayload = {
+            type: 'SEND_MSG',
+            senderId: sender.userId,
+            message: `hello-from-sender-${randSuffix()}`,
+            timeStamp: nowIso(),
+            chatId,
+        };
+
+        const recvMsgPromise = receiverWs.waitFor((m) => m.type === 'SEND_MSG' && m.chatId === chatId);
+        senderWs.publish('/api/chat', sendPayload);
+
+        const receivedSend = await recvMsgPromise;
+        assert(receivedSend.message === sendPayload.message, 'Receiver should get the same message content');
+        assert(!!receivedSend.messageId, 'Receiver SEND_MSG should include messageId');
+        const messageId = receivedSend.messageId;
+
+        logStep('Get messages (/api/messages/getMessages/{chatId}) and validate content');
+        const messages = await getMessages(receiver, chatId);
+        assert(
+            Array.isArray(messages) && messages.some((m) => m.messageId === messageId || m.content === sendPayload.message),
+            'Message should be present in /getMessages payload (by messageId or content)'
+        );
+    }, {
+        setup: newChatFixture,
+        teardown: teardownChatFixture,
+        dependsOn: ['chat: create, list and get users', 'ws: get ticket (/api/user/getTicket)'],
+    });
 
-    await sleep(5000);
+    suite.test('stomp: SEND and SUBSCRIBE are acknowledged with RECEIPT frames', async (ctx) => {
+        const { sender, receiver, chatId } = ctx;
+
+        logStep('Connect both with receipts; each SUBSCRIBE must be confirmed');
+        const clients = [];
+        for (const u of [receiver, sender]) {
+            await getTicket(u);
+            const c = await connectStomp(u, chatId, { receipts: true });
+            ctx.clients.push(c);
+            clients.push(c);
+            const ms = await c.subscribed;
+            assert(ms !== null, `SUBSCRIBE of ${u.label} should be confirmed with a RECEIPT`);
+            console.log(`SUBSCRIBE receipt for ${u.label} after ${ms} ms`);
+        }
+        // No settle sleep: the receipts say both subscriptions are live
+        const [rc, sc] = clients;
+
+        logStep(`Send ${RECEIPT_MESSAGES} messages: server ack (RECEIPT) vs delivery to the receiver`);
+        const acks = [];
+        const deliveries = [];
+        for (let i = 0; i < RECEIPT_MESSAGES; i++) {
+            const payload = chatMessage(sender, chatId, `receipt-${i}-${randSuffix()}`);
+            const sentAt = Date.now();
+            const delivered = rc.waitFor((m) => m.message === payload.message);
+            const ack = await sc.publish('/api/chat', payload);
+            assert(ack !== null, `SEND #${i} should be acknowledged with a RECEIPT`);
+            await delivered;
+            acks.push(ack);
+            deliveries.push(rc.messages().find((m) => m.body.message === payload.message).at - sentAt);
+        }
+        assert(sc.receipts().missing === 0, 'No receipt should go missing');
+
+        acks.sort((a, b) => a - b);
+        deliveries.sort((a, b) => a - b);
+        console.log(`Ack latency ms: p50=${percentile(acks, 50)} max=${acks[acks.length - 1]}; ` +
+            `delivery latency ms: p50=${percentile(deliveries, 50)} max=${deliveries[deliveries.length - 1]}`);
+    }, {
+        setup: newChatFixture,
+        teardown: teardownChatFixture,
+        dependsOn: ['stomp: SEND_MSG reaches receiver and message history'],
+        skip: !STOMP_RECEIPTS && 'set WHISP_STOMP_RECEIPTS=true if the server sends RECEIPT frames',
+    });
 
-    // --- Send message via STOMP, assert receiver got it
-    logStep('STOMP: sender sends SEND_MSG, receiver must receive');
-    const sendPayload = {
-        type: 'SEND_MSG',
-        senderId: sender.userId,
-        message: `hello-from-sender-${randSuffix()}`,
-        timeStamp: nowIso(),
-        chatId,
-    };
+    suite.test(`stomp: group fan-out to ${GROUP_SIZE} members is exactly-once`, async (ctx) => {
+        const { members, chatId } = ctx;
+        assert(GROUP_SENDERS <= GROUP_SIZE, 'WHISP_GROUP_SENDERS must not exceed WHISP_GROUP_SIZE');
+
+        logStep(`Connect all ${members.length} members`);
+        const clients = [];
+        for (const m of members) {
+            await getTicket(m);
+            const c = await connectStomp(m, chatId);
+            ctx.clients.push(c);
+            clients.push(c);
+        }
+        await sleep(5000);
+
+        logStep(`${GROUP_SENDERS} senders x ${GROUP_MESSAGES} messages, concurrently`);
+        const runId = randSuffix();
+        const sent = []; // { text, senderIdx, sentAt }
+        await Promise.all(members.slice(0, GROUP_SENDERS).map(async (m, senderIdx) => {
+            for (let i = 0; i < GROUP_MESSAGES; i++) {
+                const text = `group-${runId}-${senderIdx}-${i}`;
+                sent.push({ text, senderIdx, sentAt: Date.now() });
+                clients[senderIdx].publish('/api/chat', { type: 'SEND_MSG', senderId: m.userId, message: text, timeStamp: nowIso(), chatId });
+                await sleep(0); // interleave senders
+            }
+        }));
+
+        // What every member should get: everything except its own messages
+        const expected = members.map((_, idx) => sent.filter((s) => s.senderIdx !== idx));
+        const ours = (m) => m.chatId === chatId && typeof m.message === 'string' && m.message.startsWith(`group-${runId}-`);
+        const complete = () => clients.every((c, idx) => {
+            const got = new Set(c.messages().filter(({ body }) => ours(body)).map(({ body }) => body.message));
+            return expected[idx].every((s) => got.has(s.text));
+        });
 
-    const recvMsgPromise = receiverWs.waitFor((m) => m.type === 'SEND_MSG' && m.chatId === chatId);
-    senderWs.publish('/api/chat', sendPayload);
+        const started = Date.now();
+        while (!complete() && Date.now() - started < WS_MESSAGE_TIMEOUT_MS) await sleep(50);
+        await sleep(DUPLICATE_GRACE_MS);
+
+        logStep('Per-recipient delivery');
+        const problems = [];
+        const allLatencies = [];
+        clients.forEach((c, idx) => {
+            const byText = {};
+            for (const { body, at } of c.messages()) {
+                if (ours(body)) (byText[body.message] = byText[body.message] || []).push(at);
+            }
+            const latencies = [];
+            for (const s of expected[idx]) {
+                const arrivals = byText[s.text] || [];
+                if (!arrivals.length) problems.push(`${members[idx].label} missed ${s.text}`);
+                if (arrivals.length > 1) problems.push(`${members[idx].label} got ${s.text} ${arrivals.length} times`);
+                if (arrivals.length) latencies.push(arrivals[0] - s.sentAt);
+            }
+            latencies.sort((a, b) => a - b);
+            allLatencies.push(...latencies);
+            console.log(`${members[idx].label}: ${latencies.length}/${expected[idx].length} received, ` +
+                `latency ms min=${latencies[0]} p50=${percentile(latencies, 50)} max=${latencies[latencies.length - 1]}`);
+        });
+        allLatencies.sort((a, b) => a - b);
+        console.log(`Fan-out latency ms (all recipients): p50=${percentile(allLatencies, 50)} ` +
+            `p95=${percentile(allLatencies, 95)} max=${allLatencies[allLatencies.length - 1]}`);
+
+        assert(!problems.length, `Group fan-out is not exactly-once:\n  ${problems.join('\n  ')}`);
+    }, {
+        setup: newGroupChatFixture,
+        teardown: teardownChatFixture,
+        dependsOn: ['stomp: SEND_MSG reaches receiver and message history'],
+    });
 
-    const receivedSend = await recvMsgPromise;
-    assert(receivedSend.message === sendPayload.message, 'Receiver should get the same message content');
-    assert(!!receivedSend.messageId, 'Receiver SEND_MSG should include messageId');
-    const messageId = receivedSend.messageId;
+    suite.test('payload: edge-case content arrives byte-identical', async (ctx) => {
+        const { sender, receiver, chatId } = ctx;
+        [ctx.senderWs, ctx.receiverWs] = await connectAll(ctx, sender, receiver);
+        await sleep(5000);
+
+        const sent = [];
+        const run = randSuffix();
+        for (const kind of payload.PAYLOAD_KINDS) {
+            for (const bytes of PAYLOAD_SIZES) {
+                // Fixed-width tag: probeContent matches by prefix, so no tag may start another
+                const tag = `e${run}${String(sent.length).padStart(3, '0')}`;
+                const content = payload.makeContent(tag, kind, bytes);
+                const size = Buffer.byteLength(content);
+                assert(size === bytes, `${kind} message meant to be ${bytes} bytes is ${size}; ` +
+                    `WHISP_PAYLOAD_SIZES entries must be at least ${Buffer.byteLength(`${tag};p=`)} bytes`);
+                const { outcome, received } = await probeContent(ctx, content);
+                const frameBytes = Buffer.byteLength(JSON.stringify(chatMessage(sender, chatId, content)));
+                assert(outcome === 'ok', `${kind} message of ${bytes} bytes (SEND body ${frameBytes} bytes) was ${outcome}` +
+                    (received !== null ? `: ${describeMismatch(content, received)}` : ''));
+                sent.push({ kind, bytes, content });
+                console.log(`ok: ${kind} ${size} bytes (${payload.sizeBucket(size)})`);
+            }
+        }
 
-    // --- Fetch messages via REST and validate the message exists
-    logStep('Get messages (/api/messages/getMessages/{chatId}) and validate content');
-    const messages = await getMessages(receiver, chatId);
-    assert(
-        Array.isArray(messages) && messages.some((m) => m.messageId === messageId || m.content === sendPayload.message),
-        'Message should be present in /getMessages payload (by messageId or content)'
-    );
+        logStep('History must hold the same bytes');
+        const history = await getMessages(receiver, chatId);
+        for (const { kind, bytes, content } of sent) {
+            const stored = history.find((m) => m.content === content);
+            if (stored) continue;
+            const tag = content.split(';p=')[0];
+            const near = history.find((m) => typeof m.content === 'string' && m.content.startsWith(tag));
+            throw new Error(`ASSERTION FAILED: ${kind} message of ${bytes} bytes ` +
+                (near ? `stored differently: ${describeMismatch(content, near.content)}` : 'missing from getMessages'));
+        }
+    }, {
+        setup: newChatFixture,
+        teardown: teardownChatFixture,
+        dependsOn: ['stomp: SEND_MSG reaches receiver and message history'],
+    });
 
-    // --- Change chat name
-    logStep('Change chat name (/api/chat/changeName)');
-    await changeChatName(sender, chatId, `whisp-e2e-renamed-${randSuffix()}`);
+    suite.test('payload: record the size where the server rejects or truncates', async (ctx) => {
+        const { receiver } = ctx;
+        await getTicket(receiver);
+        ctx.receiverWs = await connectStomp(receiver, ctx.chatId);
+        ctx.clients.push(ctx.receiverWs);
+        await sleep(5000);
+
+        const probe = async (bytes) => {
+            const { outcome } = await probeContent(ctx, payload.makeContent(`limit-${randSuffix()}-${bytes}`, 'ascii', bytes));
+            console.log(`${bytes} bytes: ${outcome}`);
+            return outcome;
+        };
+
+        // Double until something fails, then bisect between the last good and first bad size
+        let good = 0;
+        let bad = null;
+        let badOutcome = null;
+        for (let bytes = 1024; bytes <= PAYLOAD_MAX_BYTES; bytes *= 2) {
+            const outcome = await probe(bytes);
+            if (outcome !== 'ok') {
+                bad = bytes;
+                badOutcome = outcome;
+                break;
+            }
+            good = bytes;
+        }
+        while (bad !== null && bad - good > 64) {
+            const mid = Math.floor((good + bad) / 2);
+            const outcome = await probe(mid);
+            if (outcome === 'ok') good = mid;
+            else {
+                bad = mid;
+                badOutcome = outcome;
+            }
+        }
 
-    // --- Receiver leaves chat (removeUser)
-    logStep('Receiver leaves chat (/api/chat/removeUser)');
-    await removeUser(receiver, chatId, receiver.userId);
+        const result = bad === null
+            ? { largestAcceptedBytes: good, firstFailingBytes: null, outcome: `no failure up to ${PAYLOAD_MAX_BYTES} bytes` }
+            : { largestAcceptedBytes: good, firstFailingBytes: bad, outcome: badOutcome };
+        console.log(`Payload size limit: ${JSON.stringify(result)}`);
+        fs.mkdirSync(REPORT_DIR, { recursive: true });
+        fs.writeFileSync(path.join(REPORT_DIR, 'payload-limit.json'), JSON.stringify({ baseUrl: BASE_URL, measuredAt: nowIso(), ...result }, null, 2));
+    }, {
+        setup: newChatFixture,
+        teardown: teardownChatFixture,
+        dependsOn: ['stomp: SEND_MSG reaches receiver and message history'],
+    });
 
-    // --- Sender adds receiver back (addUser)
-    logStep('Sender adds receiver back (/api/chat/addUser)');
-    await addUser(sender, chatId, receiver.username);
+    suite.test('auth: logout (/api/auth/logout)', async ({ user }) => {
+        await logout(user);
+    }, {
+        setup: async () => ({ user: await newUser('sender') }),
+        teardown: ({ user }) => removeUsers(user),
+        dependsOn: ['user: register and sign in'],
+    });
 
-    // --- Get users in chat again
-    logStep('Get users in chat again (/api/chat/getUsers/{chatId})');
-    await getUsersInChat(sender, chatId);
+    suite.test('auth: logoutAll (/api/auth/logoutAll)', async ({ user }) => {
+        await logoutAll(user);
+    }, {
+        setup: async () => ({ user: await newUser('receiver') }),
+        teardown: ({ user }) => removeUsers(user),
+        dependsOn: ['user: register and sign in'],
+    });
 
-    // --- Logout endpoints
-    logStep('Logout sender (/api/auth/logout)');
-    await logout(sender);
+    suite.test('revocation: logoutAll closes live STOMP sessions and rejects old tokens', async (ctx) => {
+        const { sender, receiver, chatId } = ctx;
+        const other = await newSession(receiver, 'receiver#2');
+
+        logStep('Connect sender and two receiver sessions');
+        await getTicket(sender);
+        const senderWs = await connectStomp(sender, chatId);
+        ctx.clients.push(senderWs);
+        const receiverClients = [];
+        for (const u of [receiver, other]) {
+            await getTicket(u);
+            const c = await connectStomp(u, chatId);
+            ctx.clients.push(c);
+            receiverClients.push(c);
+        }
+
+        logStep('logoutAll for receiver, then wait for it to reach every node');
+        await logoutAll(receiver);
+        const since = Date.now();
+        other.revoked = true;
+
+        const timings = {
+            jwt: await measureRevocation('JWT', since, () => jwtRejected(receiver)),
+            otherJwt: await measureRevocation('JWT of the other session', since, () => jwtRejected(other)),
+            refreshToken: await measureRevocation('refresh token', since, () => refreshTokenRejected(receiver)),
+            otherRefreshToken: await measureRevocation('refresh token of the other session', since, () => refreshTokenRejected(other)),
+        };
+        for (const [i, c] of receiverClients.entries()) {
+            timings[`stomp${i + 1}`] = await expectSessionDead(c, senderWs, chatId, since);
+        }
+        console.log(`Revocation propagation (ms): ${JSON.stringify(timings)}`);
+    }, {
+        setup: newChatFixture,
+        teardown: teardownChatFixture,
+        dependsOn: ['auth: logoutAll (/api/auth/logoutAll)', 'stomp: SEND_MSG reaches receiver and message history'],
+    });
+
+    suite.test('revocation: logout revokes only the given refresh token', async (ctx) => {
+        const { sender, receiver, chatId } = ctx;
+        const other = await newSession(receiver, 'receiver#2');
+
+        await getTicket(sender);
+        const senderWs = await connectStomp(sender, chatId);
+        ctx.clients.push(senderWs);
+        await getTicket(other);
+        const otherWs = await connectStomp(other, chatId);
+        ctx.clients.push(otherWs);
+
+        await logout(receiver);
+        assert(await refreshTokenRejected(receiver), 'Logged-out refresh token should be rejected');
+
+        logStep('Other session must be unaffected');
+        await refreshJwt(other);
+        await getCurrentUser(other);
+        const message = `after-logout-${randSuffix()}`;
+        const received = otherWs.waitFor((m) => m.type === 'SEND_MSG' && m.message === message);
+        senderWs.publish('/api/chat', { type: 'SEND_MSG', senderId: sender.userId, message, timeStamp: nowIso(), chatId });
+        await received;
+    }, {
+        setup: newChatFixture,
+        teardown: teardownChatFixture,
+        dependsOn: ['auth: logout (/api/auth/logout)', 'stomp: SEND_MSG reaches receiver and message history'],
+    });
 
-    logStep('LogoutAll receiver (/api/auth/logoutAll)');
-    await logoutAll(receiver);
+    suite.test('chat: delete chat (/api/chat/deleteChat)', async (ctx) => {
+        await deleteChat(ctx.sender, ctx.chatId);
+        ctx.chatDeleted = true;
+    }, {
+        setup: newChatFixture,
+        teardown: teardownChatFixture,
+        dependsOn: ['chat: create, list and get users'],
+    });
 
-    // --- Delete chat
-    logStep('Delete chat (/api/chat/deleteChat?chatId=...)');
-    await deleteChat(sender, chatId);
+    suite.test('membership: removed user stops receiving, re-added user receives again', async (ctx) => {
+        const { sender, receiver, chatId } = ctx;
+        const [senderWs, receiverWs] = await connectAll(ctx, sender, receiver);
+        await sleep(5000);
 
-    // --- Cleanup: disconnect websockets
-    logStep('Disconnect STOMP clients');
-    await senderWs.disconnect();
-    await receiverWs.disconnect();
+        // Sender's own echo shows the server processed a message before we judge the receiver
+        async function send(text) {
+            const echo = senderWs.waitFor((m) => m.message === text);
+            senderWs.publish('/api/chat', chatMessage(sender, chatId, text));
+            await echo;
+        }
 
-    // --- Delete users
-    logStep('Delete sender (/api/user/deleteUser)');
-    await deleteUser(sender);
+        logStep('Baseline: receiver gets messages');
+        const before = `before-remove-${randSuffix()}`;
+        const gotBefore = receiverWs.waitFor((m) => m.message === before);
+        await send(before);
+        await gotBefore;
+
+        logStep('Receiver leaves; its open subscription must go quiet at once');
+        await removeUser(receiver, chatId, receiver.userId);
+        const during = `while-removed-${randSuffix()}`;
+        await send(during);
+        await receiverWs.expectSilence((m) => m.message === during);
+
+        logStep('Receiver is added back; delivery resumes on the same subscription');
+        await addUser(sender, chatId, receiver.username);
+        const after = `after-readd-${randSuffix()}`;
+        const gotAfter = receiverWs.waitFor((m) => m.message === after);
+        await send(after);
+        await gotAfter;
+    }, {
+        setup: newChatFixture,
+        teardown: teardownChatFixture,
+        dependsOn: ['chat: receiver leaves and is added back', 'stomp: SEND_MSG reaches receiver and message history'],
+    });
 
-    logStep('Delete receiver (/api/user/deleteUser)');
-    await deleteUser(receiver);
+    suite.test('membership: messages to a deleted chat are rejected', async (ctx) => {
+        const { sender, receiver, chatId } = ctx;
+        const [senderWs, receiverWs] = await connectAll(ctx, sender, receiver);
+        await sleep(5000);
+
+        await deleteChat(sender, chatId);
+        ctx.chatDeleted = true;
+
+        const text = `after-delete-${randSuffix()}`;
+        senderWs.publish('/api/chat', chatMessage(sender, chatId, text));
+        await Promise.all([
+            receiverWs.expectSilence((m) => m.message === text),
+            senderWs.expectSilence((m) => m.message === text),
+        ]);
+        await fetchJson(`/api/messages/getMessages/${encodeURIComponent(chatId)}`, {
+            headers: { Authorization: authHeader(receiver.jwt) },
+            expectStatuses: [403, 404],
+        });
+    }, {
+        setup: newChatFixture,
+        teardown: teardownChatFixture,
+        dependsOn: ['chat: delete chat (/api/chat/deleteChat)', 'stomp: SEND_MSG reaches receiver and message history'],
+    });
 
-    console.log(`\nWhisp E2E finished successfully: ${nowIso()}`);
+    suite.test('user: delete user (/api/user/deleteUser)', async ({ user }) => {
+        await deleteUser(user);
+        await fetchJson('/api/user/signin', {
+            method: 'POST',
+            headers: { 'x-api-key': API_KEY },
+            body: { username: user.username, password: user.password },
+            expectStatuses: [401, 404],
+        });
+    }, {
+        setup: async () => ({ user: await newUser('sender') }),
+        teardown: ({ user }) => removeUsers(user),
+        dependsOn: ['user: register and sign in'],
+    });
 }
 
 function mkUser(label) {
@@ -267,6 +964,8 @@ function mkUser(label) {
         jwt: null,
         refreshToken: null,
         ticket: null,
+        revoked: false, // set by logoutAll until the next signIn
+        deleted: false,
     };
 }
 
@@ -282,6 +981,7 @@ async function registerUser(u) {
             password: u.password,
         },
         expectStatuses: [201, 400],
+        contract: 'registerUser',
     });
 
     // If 400, user may already exist. This is still acceptable for repeatable runs.
@@ -300,6 +1000,7 @@ async function signIn(u) {
         headers: { 'x-api-key': API_KEY },
         body: { username: u.username, password: u.password },
         expectStatuses: [200],
+        contract: 'signin',
     });
 
     const jwtHdr = res.headers.get('authorization');
@@ -310,6 +1011,7 @@ async function signIn(u) {
     u.userId = body.id;
     u.refreshToken = body.refreshToken;
     u.jwt = jwtHdr;
+    u.revoked = false;
 
     console.log(`Signed in ${u.label}: userId=${u.userId}`);
 }
@@ -320,6 +1022,7 @@ async function changeUsername(u, newUsername) {
         headers: { Authorization: authHeader(u.jwt) },
         body: { newUsername },
         expectStatuses: [200],
+        contract: 'changeUsername',
     });
 
     const newJwt = res.headers.get('authorization');
@@ -335,6 +1038,7 @@ async function getCurrentUser(u) {
         method: 'GET',
         headers: { Authorization: authHeader(u.jwt) },
         expectStatuses: [200],
+        contract: 'getUser',
     });
     assert(res.body && res.body.id, 'getUser should return user object with id');
     return res.body;
@@ -346,6 +1050,7 @@ async function refreshJwt(u) {
         headers: { Authorization: authHeader(u.refreshToken) },
         body: { expiredJwt: u.jwt },
         expectStatuses: [200],
+        contract: 'refresh',
     });
 
     const newJwt = res.headers.get('authorization');
@@ -361,6 +1066,7 @@ async function createChat(u, chatName, userNames) {
         headers: { Authorization: authHeader(u.jwt) },
         body: { chatName, userNames },
         expectStatuses: [201],
+        contract: 'createChat',
     });
 
     assert(res.body && res.body.chatId, 'createChat must return chatId');
@@ -373,6 +1079,7 @@ async function listChats(u) {
         method: 'GET',
         headers: { Authorization: authHeader(u.jwt) },
         expectStatuses: [200],
+        contract: 'getChats',
     });
     assert(res.body && Array.isArray(res.body.chats), 'getChats must return {chats: []}');
     console.log(`${u.label} chats: ${res.body.chats.length}`);
@@ -384,6 +1091,7 @@ async function getUsersInChat(u, chatId) {
         method: 'GET',
         headers: { Authorization: authHeader(u.jwt) },
         expectStatuses: [200],
+        contract: 'getUsers',
     });
     assert(res.body && Array.isArray(res.body.users), 'getUsers must return {users: []}');
     console.log(`Users in chat ${chatId}: ${res.body.users.length}`);
@@ -395,6 +1103,7 @@ async function getMessages(u, chatId) {
         method: 'GET',
         headers: { Authorization: authHeader(u.jwt) },
         expectStatuses: [200],
+        contract: 'getMessages',
     });
     assert(res.body && Array.isArray(res.body.messages), 'getMessages must return {messages: []}');
     console.log(`Messages in chat ${chatId}: ${res.body.messages.length}`);
@@ -407,6 +1116,7 @@ async function addUser(u, chatId, newUsername) {
         headers: { Authorization: authHeader(u.jwt) },
         body: { chatId, newUsername },
         expectStatuses: [200],
+        contract: 'addUser',
     });
     console.log(`Added user ${newUsername} to chat ${chatId}`);
     return res.body;
@@ -418,6 +1128,7 @@ async function removeUser(u, chatId, removeUserId) {
         headers: { Authorization: authHeader(u.jwt) },
         body: { chatId, removeUser: removeUserId },
         expectStatuses: [200],
+        contract: 'removeUser',
     });
     console.log(`${u.label} left chat ${chatId}`);
     return res.body;
@@ -429,6 +1140,7 @@ async function changeChatName(u, chatId, newChatName) {
         headers: { Authorization: authHeader(u.jwt) },
         body: { chatId, newChatName },
         expectStatuses: [200],
+        contract: 'changeName',
     });
     console.log(`Changed chat name for ${chatId} -> ${newChatName}`);
     return res.body;
@@ -439,6 +1151,7 @@ async function deleteChat(u, chatId) {
         method: 'DELETE',
         headers: { Authorization: authHeader(u.jwt) },
         expectStatuses: [200],
+        contract: 'deleteChat',
     });
     console.log(`Deleted chat ${chatId}`);
     return res.body;
@@ -450,6 +1163,7 @@ async function logout(u) {
         headers: { Authorization: authHeader(u.jwt) },
         body: { refreshToken: u.refreshToken },
         expectStatuses: [200],
+        contract: 'logout',
     });
     console.log(`Logged out ${u.label}`);
     return res.body;
@@ -460,7 +1174,9 @@ async function logoutAll(u) {
         method: 'POST',
         headers: { Authorization: authHeader(u.jwt) },
         expectStatuses: [200],
+        contract: 'logoutAll',
     });
+    u.revoked = true;
     console.log(`Logged out all sessions for ${u.label}`);
     return res.body;
 }
@@ -470,7 +1186,9 @@ async function deleteUser(u) {
         method: 'DELETE',
         headers: { Authorization: authHeader(u.jwt) },
         expectStatuses: [200],
+        contract: 'deleteUser',
     });
+    u.deleted = true;
     console.log(`Deleted user ${u.label}: ${u.username}`);
     return res.body;
 }
@@ -479,13 +1197,77 @@ async function deleteUser(u) {
  * STOMP connect helper.
  * - Uses SockJS endpoint: `${BASE_URL}/api/wsConnect?ticket=...`
  * - Sends Authorization via STOMP CONNECT headers.
+ * - `opts.ticket` / `opts.jwt` override the user's own (ticket: null omits the query param).
+ * - On failure, throws an Error whose `reason` says why (STOMP ERROR, WS error/close, timeout).
+ * - After connecting, `closed` / `closedAt` track a server-side close; messages() lists
+ *   everything received so far as { body, at }.
  */
-async function connectStomp(u, chatId) {
-    const wsUrl = `${BASE_URL}/api/wsConnect?ticket=${u.ticket}`;
-    const connectHeaders = { Authorization: authHeader(u.jwt) };
+async function connectStomp(u, chatId, opts = {}) {
+    const ticket = 'ticket' in opts ? opts.ticket : u.ticket;
+    const jwt = 'jwt' in opts ? opts.jwt : u.jwt;
+    const wsUrl = ticket === null ? `${BASE_URL}/api/wsConnect` : `${BASE_URL}/api/wsConnect?ticket=${ticket}`;
+    const connectHeaders = { Authorization: authHeader(jwt) };
+    const receipts = 'receipts' in opts ? opts.receipts : STOMP_RECEIPTS;
 
     const inbox = [];
+    const arrivedAt = []; // receive time of inbox[i]
+    const violations = []; // inbound bodies breaking the stompMessage contract
     let connected = false;
+    let failure = null;
+    // A contract violation fails the next waitFor(), even if the predicate would still match
+    const conforming = (predicate) => (m) => {
+        if (violations.length) throw new Error(violations[0]);
+        return predicate(m);
+    };
+    // Receipts asked for and not answered yet: receipt id -> settle(ms | null)
+    const awaited = new Map();
+    const ackLatencies = [];
+    let missingReceipts = 0;
+    let receiptSeq = 0;
+
+    // Resolves with the ms until the server's RECEIPT, or null if none came (never rejects,
+    // so fire-and-forget publish() callers are unaffected)
+    function expectReceipt(what) {
+        const id = `${u.label}-${++receiptSeq}`;
+        const sentAt = Date.now();
+        const ack = new Promise((resolve) => {
+            const t = setTimeout(() => settle(null), WS_MESSAGE_TIMEOUT_MS);
+            function settle(ms) {
+                clearTimeout(t);
+                awaited.delete(id);
+                if (ms === null) {
+                    missingReceipts++;
+                    console.error(`[stomp ${u.label}] no RECEIPT for ${what}`);
+                } else {
+                    ackLatencies.push(ms);
+                }
+                resolve(ms);
+            }
+            awaited.set(id, settle);
+            client.watchForReceipt(id, () => settle(Date.now() - sentAt));
+        });
+        return { id, ack };
+    }
+
+    const handle = {
+        closed: false,
+        closedAt: null,
+        subscribed: Promise.resolve(null), // with receipts: ms until the SUBSCRIBE was confirmed
+        // With receipts, resolves with the ms until the server acknowledged the SEND (null if it never did)
+        publish: (destination, bodyObj) => {
+            const receipt = receipts ? expectReceipt(`SEND to ${destination}`) : null;
+            client.publish({ destination, body: JSON.stringify(bodyObj), headers: receipt ? { receipt: receipt.id } : {} });
+            return receipt ? receipt.ack : Promise.resolve(null);
+        },
+        waitFor: (predicate) => waitForMessage(inbox, conforming(predicate), u.label),
+        expectSilence: (predicate, ms = SILENCE_MS) => expectNoMessage(inbox, predicate, ms, u.label),
+        messages: () => inbox.map((body, i) => ({ body, at: arrivedAt[i] })),
+        receipts: () => ({ latencies: ackLatencies.slice(), missing: missingReceipts }),
+        disconnect: async () => {
+            for (const settle of [...awaited.values()]) settle(null);
+            return client.deactivate();
+        },
+    };
 
     const client = new StompClient({
         webSocketFactory: () => new SockJS(wsUrl),
@@ -497,42 +1279,72 @@ async function connectStomp(u, chatId) {
             connected = true;
 
             const dest = `/user/${u.userId}/queue/messages`;
+            const receipt = receipts ? expectReceipt(`SUBSCRIBE to ${dest}`) : null;
+            if (receipt) handle.subscribed = receipt.ack;
             client.subscribe(dest, (frame) => {
                 const body = safeJson(frame.body);
+                try {
+                    assertContract('stompMessage', body, `STOMP MESSAGE on ${dest}`);
+                } catch (e) {
+                    violations.push(e.message);
+                }
                 inbox.push(body);
-            });
+                arrivedAt.push(Date.now());
+            }, receipt ? { receipt: receipt.id } : {});
         },
         onStompError: (frame) => {
+            failure = failure || `STOMP ERROR: ${frame.headers['message'] || frame.body}`;
             console.error(`[stomp ${u.label}] STOMP error:`, frame.headers['message'], frame.body);
         },
         onWebSocketError: (err) => {
             // This triggers on auth/ticket problems or connectivity issues.
-            // console.error(`[stomp ${u.label}] WS error:`, err?.message || err);
+            failure = failure || `WebSocket error: ${(err && (err.message || err.type)) || err}`;
+        },
+        onWebSocketClose: (evt) => {
+            if (connected) {
+                handle.closed = true;
+                handle.closedAt = handle.closedAt || Date.now();
+                return;
+            }
+            failure = failure || `WebSocket closed before CONNECTED (code ${evt.code}${evt.reason ? `: ${evt.reason}` : ''})`;
         },
     });
 
     // Ticket required per docs
-    assert(u.ticket, `Missing websocket ticket for ${u.label} (call getTicket first)`);
+    if (!('ticket' in opts)) assert(u.ticket, `Missing websocket ticket for ${u.label} (call getTicket first)`);
 
     client.activate();
 
-    // Wait for connect or timeout
+    // Wait for connect, failure or timeout
     const start = Date.now();
     while (!connected) {
-        if (Date.now() - start > WS_CONNECT_TIMEOUT_MS) {
-            client.deactivate();
-            throw new Error(`STOMP connect timeout for ${u.label}`);
+        if (!failure && Date.now() - start > WS_CONNECT_TIMEOUT_MS) failure = `timeout after ${WS_CONNECT_TIMEOUT_MS} ms`;
+        if (failure) {
+            await client.deactivate();
+            const e = new Error(`STOMP connect failed for ${u.label}: ${failure}`);
+            e.reason = failure;
+            throw e;
         }
         await sleep(50);
     }
 
     console.log(`STOMP connected: ${u.label}`);
 
-    return {
-        publish: (destination, bodyObj) => client.publish({ destination, body: JSON.stringify(bodyObj) }),
-        waitFor: (predicate) => waitForMessage(inbox, predicate, u.label),
-        disconnect: async () => client.deactivate(),
-    };
+    return handle;
+}
+
+// Asserts that connectStomp fails and returns the reason it reported
+async function expectStompRejected(u, opts, what) {
+    let client;
+    try {
+        client = await connectStomp(u, null, opts);
+    } catch (e) {
+        assert(e.reason, `connectStomp should report a reason (${what})`);
+        console.log(`Rejected as expected (${what}): ${e.reason}`);
+        return e.reason;
+    }
+    await client.disconnect();
+    throw new Error(`ASSERTION FAILED: STOMP connect should be rejected: ${what}`);
 }
 
 async function getTicket(u) {
@@ -540,6 +1352,7 @@ async function getTicket(u) {
         method: 'GET',
         headers: { Authorization: authHeader(u.jwt) },
         expectStatuses: [200],
+        contract: 'getTicket',
     });
     assert(res.body && res.body.ticket, 'getTicket must return {ticket: "..."}');
     u.ticket = res.body.ticket;
@@ -571,6 +1384,16 @@ function waitForMessage(inbox, predicate, label) {
     });
 }
 
+// Resolves once `ms` passed without a matching message, rejects as soon as one arrives
+async function expectNoMessage(inbox, predicate, ms, label) {
+    const started = Date.now();
+    while (Date.now() - started < ms) {
+        const msg = inbox.find(predicate);
+        if (msg) throw new Error(`ASSERTION FAILED: ${label} received an unexpected message: ${JSON.stringify(msg)}`);
+        await sleep(50);
+    }
+}
+
 // Run
 main().catch((e) => {
     console.error('\nE2E FAILED:\n', e && e.stack ? e.stack : e);
@@ -0,0 +1,50 @@
+/* whisp-http.js
+ *
+ * REST helpers shared by the Node scripts (whisp-e2e.js, whisp-cleanup.js,
+ * whisp-reconcile.js), so timeouts and error handling stay the same everywhere.
+ *
+ * - createRequest(baseUrl) -> request(path, { method, headers, body })
+ *   resolving to { status, headers, body }. JSON bodies are parsed, anything
+ *   else comes back as text (null when empty). The timeout covers the whole
+ *   exchange, body included; a timeout or network error rejects with
+ *   "HTTP <method> <path> failed: ...". Non-2xx statuses resolve normally.
+ * - authHeader(jwt) adds the "Bearer " prefix when it is missing.
+ */
+
+'use strict';
+
+const HTTP_TIMEOUT_MS = 20_000;
+
+function authHeader(jwt) {
+    if (!jwt) return undefined;
+    return jwt.toLowerCase().startsWith('bearer ') ? jwt : `Bearer ${jwt}`;
+}
+
+function parseBody(text) {
+    if (!text) return null;
+    try { return JSON.parse(text); } catch { return text; }
+}
+
+function createRequest(baseUrl, { timeoutMs = HTTP_TIMEOUT_MS } = {}) {
+    return async function request(path, { method = 'GET', headers = {}, body } = {}) {
+        const controller = new AbortController();
+        const t = setTimeout(() => controller.abort(), timeoutMs);
+        try {
+            const res = await fetch(`${baseUrl}${path}`, {
+                method,
+                headers: { 'Content-Type': 'application/json', ...headers },
+                body: body === undefined ? undefined : JSON.stringify(body),
+                signal: controller.signal,
+            });
+            const text = await res.text();
+            return { status: res.status, headers: res.headers, body: parseBody(text) };
+        } catch (e) {
+            const reason = controller.signal.aborted ? `timed out after ${timeoutMs} ms` : e.message;
+            throw new Error(`HTTP ${method} ${path} failed: ${reason}`);
+        } finally {
+            clearTimeout(t);
+        }
+    };
+}
+
+module.exports = { HTTP_TIMEOUT_MS, authHeader, createRequest };
@@ -0,0 +1,71 @@
+/* whisp-manifest.js
+ *
+ * Builds the seed manifest for k6-ws-new.js (Node.js).
+ *
+ * Reads the SEED_RUN / SEED_USER / SEED_CHAT lines k6-init-new.js logs and
+ * writes them as one manifest (format: lib/manifest.js). Chat ids are the ones
+ * createChat returned, so the manifest never depends on looking chats up by name.
+ *
+ *   k6 run --console-output=seed.log k6-init-new.js
+ *   node whisp-manifest.js
+ *   k6 run -e MANIFEST_FILE=seed-manifest.json k6-ws-new.js
+ *
+ * Env vars:
+ *   SEED_LOG_FILE  (default: seed.log)
+ *   MANIFEST_FILE  (default: seed-manifest.json)
+ */
+
+'use strict';
+
+const fs = require('fs');
+const { parseRecord } = require('./lib/records.js');
+const { createManifest } = require('./lib/manifest.js');
+
+const SEED_LOG_FILE = process.env.SEED_LOG_FILE || 'seed.log';
+const MANIFEST_FILE = process.env.MANIFEST_FILE || 'seed-manifest.json';
+
+function readSeedLog(file) {
+    let run = null;
+    const users = new Map();
+    const chats = new Map();
+    for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+        const runRec = parseRecord(line, 'SEED_RUN');
+        if (runRec) {
+            if (run) throw new Error(`${file} holds more than one k6-init-new.js run; log each run to its own file`);
+            run = runRec;
+            continue;
+        }
+        const user = parseRecord(line, 'SEED_USER');
+        if (user) {
+            users.set(user.index, user);
+            continue;
+        }
+        const chat = parseRecord(line, 'SEED_CHAT');
+        if (chat) chats.set(String(chat.chatId), chat);
+    }
+    if (!run) throw new Error(`${file} has no SEED_RUN record; was it written with --console-output by k6-init-new.js?`);
+    return { run, users: [...users.values()], chats: [...chats.values()] };
+}
+
+function main() {
+    const { run, users, chats } = readSeedLog(SEED_LOG_FILE);
+
+    const known = new Set(users.map((u) => u.index));
+    const partial = chats.filter((c) => c.members.some((i) => !known.has(i)));
+    if (partial.length) {
+        console.warn(`WARNING: ${partial.length} chats list members that never signed in, e.g. ${partial[0].name}`);
+    }
+
+    const manifest = createManifest(run, users, chats);
+    fs.writeFileSync(MANIFEST_FILE, JSON.stringify(manifest, null, 2));
+    console.log(`Seed manifest: ${manifest.users.length} users, ${manifest.chats.length} chats ` +
+        `(topology ${manifest.topology}) -> ${MANIFEST_FILE}`);
+    if (!manifest.users.length || !manifest.chats.length) process.exit(1);
+}
+
+try {
+    main();
+} catch (e) {
+    console.error('\nMANIFEST FAILED:\n', e && e.stack ? e.stack : e);
+    process.exit(1);
+}
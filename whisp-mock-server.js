@@ -0,0 +1,706 @@
+/* whisp-mock-server.js
+ *
+ * Local stand-in for the Whisp REST + STOMP backend (Node.js).
+ *
+ * Implements every REST route used by whisp-e2e.js and the k6 scripts, and
+ * serves /api/wsConnect over raw WebSocket and SockJS (websocket transport).
+ * All state lives in memory and is lost on exit.
+ *
+ * Usage:
+ *   node whisp-mock-server.js
+ *   WHISP_BASE_URL=http://localhost:8080 node whisp-e2e.js
+ *   k6 run -e API_BASE_URL=http://localhost:8080 -e WS_URL=ws://localhost:8080/api/wsConnect k6-ws-new.js
+ *
+ * Env vars:
+ *   WHISP_MOCK_PORT           (default: 8080)
+ *   WHISP_API_KEY             (default: same key as whisp-e2e.js)
+ *   WHISP_MOCK_JWT_TTL_MS     (default: 900000)
+ *   WHISP_MOCK_TICKET_TTL_MS  (default: 30000)
+ *   WHISP_MOCK_MAX_FRAME_BYTES (default: 65536, Spring's STOMP message size limit)
+ *   WHISP_MOCK_HEARTBEAT_MS   (default: 10000; 0 answers heart-beat 0,0) // STOMP heart-beats both ways;
+ *                                      // a client silent for 3 of its intervals is disconnected
+ */
+
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+const { WebSocketServer } = require('ws');
+
+const PORT = +(process.env.WHISP_MOCK_PORT) || 8080;
+const API_KEY = process.env.WHISP_API_KEY || '8Nj2zKISsZOf0U2IIh2tdpEvvRQVEmVP';
+const JWT_TTL_MS = +(process.env.WHISP_MOCK_JWT_TTL_MS) || 900_000;
+const TICKET_TTL_MS = +(process.env.WHISP_MOCK_TICKET_TTL_MS) || 30_000;
+const MAX_FRAME_BYTES = +(process.env.WHISP_MOCK_MAX_FRAME_BYTES) || 65_536;
+const HEARTBEAT_MS = process.env.WHISP_MOCK_HEARTBEAT_MS !== undefined ? +process.env.WHISP_MOCK_HEARTBEAT_MS : 10_000;
+const HEARTBEAT_MISSES = 3; // client intervals without any data before the session is dropped
+
+const WS_PATH = '/api/wsConnect';
+const SOCKJS_WS_PATH = /^\/api\/wsConnect\/[^/.]+\/[^/.]+\/websocket$/;
+const JWT_SECRET = crypto.randomBytes(32);
+
+// --- In-memory state
+const users = new Map();          // userId -> user
+const userIdsByName = new Map();  // username -> userId
+const chats = new Map();          // chatId -> chat
+const refreshTokens = new Map();  // token -> { userId, revoked }
+const tickets = new Map();        // ticket -> { userId, epoch, expiresAt }
+const stompSessions = new Map();  // userId -> Set<session>
+
+function nowIso() {
+    return new Date().toISOString();
+}
+
+function httpError(status, message) {
+    const e = new Error(message);
+    e.status = status;
+    return e;
+}
+
+function stripBearer(token) {
+    if (!token) return null;
+    return token.toLowerCase().startsWith('bearer ') ? token.slice(7).trim() : token.trim();
+}
+
+// --- JWT (HS256, signed with a per-process secret)
+
+function b64url(buf) {
+    return Buffer.from(buf).toString('base64url');
+}
+
+function signJwt(user) {
+    const iat = Date.now();
+    const header = b64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const payload = b64url(JSON.stringify({
+        sub: user.id,
+        username: user.username,
+        epoch: user.epoch,
+        iat: Math.floor(iat / 1000),
+        exp: Math.floor((iat + JWT_TTL_MS) / 1000),
+    }));
+    const sig = b64url(crypto.createHmac('sha256', JWT_SECRET).update(`${header}.${payload}`).digest());
+    return `${header}.${payload}.${sig}`;
+}
+
+/**
+ * Returns the user the JWT belongs to, or null if it is malformed, forged,
+ * expired (unless allowExpired), issued before the user's last logoutAll or
+ * its user no longer exists.
+ */
+function verifyJwt(token, { allowExpired = false } = {}) {
+    const parts = (stripBearer(token) || '').split('.');
+    if (parts.length !== 3) return null;
+
+    const expected = b64url(crypto.createHmac('sha256', JWT_SECRET).update(`${parts[0]}.${parts[1]}`).digest());
+    if (expected.length !== parts[2].length) return null;
+    if (!crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(parts[2]))) return null;
+
+    let payload;
+    try { payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString()); } catch { return null; }
+
+    if (!allowExpired && payload.exp * 1000 <= Date.now()) return null;
+    const user = users.get(payload.sub);
+    return user && user.epoch === payload.epoch ? user : null;
+}
+
+function issueRefreshToken(user) {
+    const token = crypto.randomBytes(32).toString('hex');
+    refreshTokens.set(token, { userId: user.id, revoked: false });
+    return token;
+}
+
+// --- HTTP plumbing
+
+function send(res, status, body, headers = {}) {
+    const payload = body === undefined ? '' : JSON.stringify(body);
+    res.writeHead(status, {
+        ...(payload ? { 'Content-Type': 'application/json' } : {}),
+        'Access-Control-Expose-Headers': 'Authorization',
+        ...headers,
+    });
+    res.end(payload);
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', (c) => chunks.push(c));
+        req.on('end', () => {
+            const text = Buffer.concat(chunks).toString();
+            if (!text) return resolve({});
+            try {
+                resolve(JSON.parse(text));
+            } catch {
+                reject(httpError(400, 'Malformed JSON body'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function requireApiKey(req) {
+    if (req.headers['x-api-key'] !== API_KEY) throw httpError(401, 'Missing or invalid x-api-key');
+}
+
+function requireUser(req) {
+    const user = verifyJwt(req.headers['authorization']);
+    if (!user) throw httpError(401, 'Missing or invalid JWT');
+    return user;
+}
+
+function requireFields(body, fields) {
+    for (const f of fields) {
+        if (typeof body[f] !== 'string' || !body[f]) throw httpError(400, `Missing field: ${f}`);
+    }
+}
+
+function requireChat(chatId) {
+    const chat = chats.get(chatId);
+    if (!chat) throw httpError(404, `Chat not found: ${chatId}`);
+    return chat;
+}
+
+function requireMember(chat, user) {
+    if (!chat.members.has(user.id)) throw httpError(403, 'Not a member of this chat');
+}
+
+function publicUser(u) {
+    return { id: u.id, username: u.username, firstName: u.firstName, surName: u.surName, email: u.email };
+}
+
+function publicChat(c) {
+    return { chatId: c.chatId, chatName: c.chatName, users: [...c.members] };
+}
+
+// --- REST routes
+
+async function registerUser(req) {
+    requireApiKey(req);
+    const body = await readBody(req);
+    requireFields(body, ['username', 'firstName', 'surName', 'email', 'password']);
+    if (userIdsByName.has(body.username)) throw httpError(400, 'Username already taken');
+
+    const user = {
+        id: crypto.randomUUID(),
+        username: body.username,
+        firstName: body.firstName,
+        surName: body.surName,
+        email: body.email,
+        password: body.password,
+        epoch: 0, // bumped by logoutAll; invalidates JWTs and tickets issued before it
+    };
+    users.set(user.id, user);
+    userIdsByName.set(user.username, user.id);
+    return [201, publicUser(user)];
+}
+
+async function signin(req) {
+    requireApiKey(req);
+    const body = await readBody(req);
+    requireFields(body, ['username', 'password']);
+
+    const user = users.get(userIdsByName.get(body.username));
+    if (!user || user.password !== body.password) throw httpError(401, 'Bad credentials');
+
+    return [200, { ...publicUser(user), refreshToken: issueRefreshToken(user) }, { Authorization: `Bearer ${signJwt(user)}` }];
+}
+
+async function getTicket(req) {
+    const user = requireUser(req);
+    const ticket = crypto.randomBytes(24).toString('hex');
+    tickets.set(ticket, { userId: user.id, epoch: user.epoch, expiresAt: Date.now() + TICKET_TTL_MS });
+    return [200, { ticket }];
+}
+
+async function getUser(req) {
+    return [200, publicUser(requireUser(req))];
+}
+
+async function changeUsername(req) {
+    const user = requireUser(req);
+    const body = await readBody(req);
+    requireFields(body, ['newUsername']);
+    if (userIdsByName.has(body.newUsername)) throw httpError(400, 'Username already taken');
+
+    userIdsByName.delete(user.username);
+    user.username = body.newUsername;
+    userIdsByName.set(user.username, user.id);
+    return [200, publicUser(user), { Authorization: `Bearer ${signJwt(user)}` }];
+}
+
+async function deleteUser(req) {
+    const user = requireUser(req);
+    for (const chat of chats.values()) chat.members.delete(user.id);
+    for (const [token, rt] of refreshTokens) if (rt.userId === user.id) refreshTokens.delete(token);
+    for (const session of stompSessions.get(user.id) || []) session.close();
+    users.delete(user.id);
+    userIdsByName.delete(user.username);
+    return [200, { id: user.id }];
+}
+
+async function refresh(req) {
+    const token = stripBearer(req.headers['authorization']);
+    const rt = token && refreshTokens.get(token);
+    if (!rt || rt.revoked) throw httpError(401, 'Missing or invalid refresh token');
+
+    const body = await readBody(req);
+    requireFields(body, ['expiredJwt']);
+    const user = verifyJwt(body.expiredJwt, { allowExpired: true });
+    if (!user || user.id !== rt.userId) throw httpError(401, 'expiredJwt does not match refresh token');
+
+    return [200, { id: user.id }, { Authorization: `Bearer ${signJwt(user)}` }];
+}
+
+async function logout(req) {
+    const user = requireUser(req);
+    const body = await readBody(req);
+    requireFields(body, ['refreshToken']);
+
+    const rt = refreshTokens.get(body.refreshToken);
+    if (!rt || rt.userId !== user.id) throw httpError(400, 'Unknown refresh token');
+    rt.revoked = true;
+    return [200, { id: user.id }];
+}
+
+async function logoutAll(req) {
+    const user = requireUser(req);
+    for (const rt of refreshTokens.values()) if (rt.userId === user.id) rt.revoked = true;
+    user.epoch++;
+    for (const session of stompSessions.get(user.id) || []) session.revoke();
+    return [200, { id: user.id }];
+}
+
+async function createChat(req) {
+    const user = requireUser(req);
+    const body = await readBody(req);
+    requireFields(body, ['chatName']);
+    if (!Array.isArray(body.userNames)) throw httpError(400, 'Missing field: userNames');
+
+    const members = new Set([user.id]);
+    for (const name of body.userNames) {
+        const id = userIdsByName.get(name);
+        if (!id) throw httpError(404, `User not found: ${name}`);
+        members.add(id);
+    }
+
+    const chat = { chatId: crypto.randomUUID(), chatName: body.chatName, members, messages: [] };
+    chats.set(chat.chatId, chat);
+    return [201, publicChat(chat)];
+}
+
+async function getChats(req) {
+    const user = requireUser(req);
+    const mine = [...chats.values()].filter((c) => c.members.has(user.id)).map(publicChat);
+    return [200, { chats: mine }];
+}
+
+async function getUsers(req, [chatId]) {
+    const user = requireUser(req);
+    const chat = requireChat(chatId);
+    requireMember(chat, user);
+    return [200, { users: [...chat.members].map((id) => publicUser(users.get(id))) }];
+}
+
+async function addUser(req) {
+    const user = requireUser(req);
+    const body = await readBody(req);
+    requireFields(body, ['chatId', 'newUsername']);
+
+    const chat = requireChat(body.chatId);
+    requireMember(chat, user);
+    const newId = userIdsByName.get(body.newUsername);
+    if (!newId) throw httpError(404, `User not found: ${body.newUsername}`);
+    chat.members.add(newId);
+    return [200, publicChat(chat)];
+}
+
+async function removeUser(req) {
+    const user = requireUser(req);
+    const body = await readBody(req);
+    requireFields(body, ['chatId', 'removeUser']);
+
+    const chat = requireChat(body.chatId);
+    requireMember(chat, user);
+    if (body.removeUser !== user.id) throw httpError(403, 'Users can only remove themselves');
+    chat.members.delete(user.id);
+    return [200, publicChat(chat)];
+}
+
+async function changeName(req) {
+    const user = requireUser(req);
+    const body = await readBody(req);
+    requireFields(body, ['chatId', 'newChatName']);
+
+    const chat = requireChat(body.chatId);
+    requireMember(chat, user);
+    chat.chatName = body.newChatName;
+    return [200, publicChat(chat)];
+}
+
+async function deleteChat(req, _params, query) {
+    const user = requireUser(req);
+    const chat = requireChat(query.get('chatId'));
+    requireMember(chat, user);
+    chats.delete(chat.chatId);
+    return [200, { chatId: chat.chatId }];
+}
+
+// Oldest first. Optional ?page=<n>&size=<n> (zero-based page) returns one slice.
+async function getMessages(req, [chatId], query) {
+    const user = requireUser(req);
+    const chat = requireChat(chatId);
+    requireMember(chat, user);
+    if (!query.has('size')) return [200, { messages: chat.messages }];
+
+    const size = +query.get('size');
+    const page = +(query.get('page') || 0);
+    if (!(size > 0) || !(page >= 0)) throw httpError(400, 'page and size must be non-negative numbers');
+    return [200, { messages: chat.messages.slice(page * size, (page + 1) * size) }];
+}
+
+const routes = [
+    ['POST',   /^\/api\/user\/registerUser$/,          registerUser],
+    ['POST',   /^\/api\/user\/signin$/,                signin],
+    ['GET',    /^\/api\/user\/getTicket$/,             getTicket],
+    ['GET',    /^\/api\/user\/getUser$/,               getUser],
+    ['POST',   /^\/api\/user\/changeUsername$/,        changeUsername],
+    ['DELETE', /^\/api\/user\/deleteUser$/,            deleteUser],
+    ['POST',   /^\/api\/auth\/refresh$/,               refresh],
+    ['POST',   /^\/api\/auth\/logout$/,                logout],
+    ['POST',   /^\/api\/auth\/logoutAll$/,             logoutAll],
+    ['POST',   /^\/api\/chat\/createChat$/,            createChat],
+    ['GET',    /^\/api\/chat\/getChats$/,              getChats],
+    ['GET',    /^\/api\/chat\/getUsers\/([^/]+)$/,     getUsers],
+    ['POST',   /^\/api\/chat\/addUser$/,               addUser],
+    ['POST',   /^\/api\/chat\/removeUser$/,            removeUser],
+    ['POST',   /^\/api\/chat\/changeName$/,            changeName],
+    ['DELETE', /^\/api\/chat\/deleteChat$/,            deleteChat],
+    ['GET',    /^\/api\/messages\/getMessages\/([^/]+)$/, getMessages],
+];
+
+async function handleRequest(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    if (req.method === 'GET' && url.pathname === `${WS_PATH}/info`) {
+        // SockJS handshake: advertise the websocket transport only
+        return send(res, 200, { websocket: true, origins: ['*:*'], cookie_needed: false, entropy: crypto.randomInt(2 ** 31) },
+            { 'Cache-Control': 'no-store, no-cache, must-revalidate, max-age=0' });
+    }
+
+    const pathMatches = routes.filter(([, re]) => re.test(url.pathname));
+    const route = pathMatches.find(([method]) => method === req.method);
+    if (!route) {
+        return send(res, pathMatches.length ? 405 : 404, { status: pathMatches.length ? 405 : 404, error: 'No route', path: url.pathname });
+    }
+
+    const [, re, handler] = route;
+    const params = re.exec(url.pathname).slice(1).map(decodeURIComponent);
+    try {
+        const [status, body, headers] = await handler(req, params, url.searchParams);
+        send(res, status, body, headers);
+    } catch (e) {
+        const status = e.status || 500;
+        if (status === 500) console.error(`[mock] ${req.method} ${url.pathname} failed:`, e);
+        send(res, status, { status, error: e.message, path: url.pathname });
+    }
+}
+
+// --- STOMP 1.2 (server side, just enough for the Whisp clients)
+
+function escapeHeader(v) {
+    return String(v).replace(/\\/g, '\\\\').replace(/\r/g, '\\r').replace(/\n/g, '\\n').replace(/:/g, '\\c');
+}
+
+function unescapeHeader(v) {
+    return v.replace(/\\(.)/g, (_, c) => ({ r: '\r', n: '\n', c: ':', '\\': '\\' }[c] ?? c));
+}
+
+function encodeFrame(command, headers = {}, body = '') {
+    const escape = command === 'CONNECTED' ? String : escapeHeader;
+    let frame = `${command}\n`;
+    for (const k in headers) frame += `${escape(k)}:${escape(headers[k])}\n`;
+    if (body) frame += `content-length:${Buffer.byteLength(body)}\n`;
+    return `${frame}\n${body}\0`;
+}
+
+/**
+ * Decodes as many complete frames as `buf` holds. Returns the frames and the
+ * unconsumed remainder; heart-beat EOLs between frames are dropped.
+ */
+function decodeFrames(buf) {
+    const frames = [];
+    let pos = 0;
+
+    while (pos < buf.length) {
+        while (pos < buf.length && (buf[pos] === 0x0a || buf[pos] === 0x0d)) pos++;
+        if (pos >= buf.length) break;
+
+        const headEnd = buf.indexOf('\n\n', pos);
+        const crlfEnd = buf.indexOf('\r\n\r\n', pos);
+        const useCrlf = crlfEnd >= 0 && (headEnd < 0 || crlfEnd < headEnd);
+        const end = useCrlf ? crlfEnd : headEnd;
+        if (end < 0) break;
+
+        const lines = buf.slice(pos, end).toString().split(/\r?\n/);
+        const command = lines[0];
+        const unescape = command === 'CONNECT' || command === 'STOMP' ? String : unescapeHeader;
+        const headers = {};
+        for (const line of lines.slice(1)) {
+            const idx = line.indexOf(':');
+            if (idx <= 0) continue;
+            const k = unescape(line.slice(0, idx));
+            if (!(k in headers)) headers[k] = unescape(line.slice(idx + 1));
+        }
+
+        const bodyStart = end + (useCrlf ? 4 : 2);
+        let bodyEnd;
+        if (headers['content-length'] !== undefined) {
+            bodyEnd = bodyStart + (+headers['content-length']);
+            if (bodyEnd >= buf.length) break;
+        } else {
+            bodyEnd = buf.indexOf(0, bodyStart);
+            if (bodyEnd < 0) break;
+        }
+
+        frames.push({ command, headers, body: buf.slice(bodyStart, bodyEnd).toString() });
+        pos = bodyEnd + 1;
+    }
+
+    return { frames, rest: buf.slice(pos) };
+}
+
+/**
+ * One STOMP session over any transport. `transport` provides send(text) and
+ * close(); the caller feeds inbound text through onData().
+ */
+function createStompSession(ticketUser, transport) {
+    let buf = Buffer.alloc(0);
+    let user = null;
+    let lastDataAt = Date.now();
+    const heartbeatTimers = [];
+    const subscriptions = new Map(); // subscription id -> destination
+
+    const session = {
+        get user() { return user; },
+        subscriptions,
+        sendFrame: (command, headers, body) => transport.send(encodeFrame(command, headers, body)),
+        close: () => transport.close(),
+        revoke: () => error('Session revoked'),
+        onData,
+        onClose,
+    };
+
+    function error(message, receiptId) {
+        session.sendFrame('ERROR', { message, ...(receiptId ? { 'receipt-id': receiptId } : {}) }, message);
+        transport.close();
+    }
+
+    /**
+     * Negotiates heart-beats per STOMP 1.2 from the client's CONNECT header,
+     * starts ours and the check on the client's, and returns the CONNECTED header.
+     */
+    function startHeartbeats(clientHeader) {
+        if (!HEARTBEAT_MS) return '0,0';
+        const [cx, cy] = `${clientHeader || '0,0'}`.split(',').map((n) => +n || 0);
+        if (cy > 0) heartbeatTimers.push(setInterval(() => transport.send('\n'), Math.max(HEARTBEAT_MS, cy)));
+        if (cx > 0) {
+            const every = Math.max(HEARTBEAT_MS, cx);
+            heartbeatTimers.push(setInterval(() => {
+                if (Date.now() - lastDataAt <= HEARTBEAT_MISSES * every) return;
+                console.log(`[mock] ${user.username}: no heart-beat for ${Date.now() - lastDataAt} ms, closing`);
+                transport.close();
+            }, every));
+        }
+        return `${HEARTBEAT_MS},${HEARTBEAT_MS}`;
+    }
+
+    function onData(text) {
+        lastDataAt = Date.now();
+        buf = Buffer.concat([buf, Buffer.from(text)]);
+        const decoded = decodeFrames(buf);
+        buf = decoded.rest;
+        for (const frame of decoded.frames) {
+            if (Buffer.byteLength(frame.body) > MAX_FRAME_BYTES) return error(`Frame body exceeds ${MAX_FRAME_BYTES} bytes`);
+            handleFrame(frame);
+        }
+        if (buf.length > MAX_FRAME_BYTES) error(`Frame exceeds ${MAX_FRAME_BYTES} bytes`);
+    }
+
+    function onClose() {
+        heartbeatTimers.forEach(clearInterval);
+        if (!user) return;
+        const set = stompSessions.get(user.id);
+        if (set) set.delete(session);
+    }
+
+    function handleFrame({ command, headers, body }) {
+        if (command === 'CONNECT' || command === 'STOMP') {
+            const jwtUser = verifyJwt(headers['Authorization'] || headers['authorization']);
+            if (!jwtUser) return error('Missing or invalid JWT in CONNECT');
+            if (jwtUser.id !== ticketUser.id) return error('Ticket does not belong to this user');
+
+            user = jwtUser;
+            if (!stompSessions.has(user.id)) stompSessions.set(user.id, new Set());
+            stompSessions.get(user.id).add(session);
+            return session.sendFrame('CONNECTED', {
+                version: '1.2',
+                'heart-beat': startHeartbeats(headers['heart-beat']),
+                server: 'whisp-mock',
+            });
+        }
+
+        if (!user) return error(`Expected CONNECT, got ${command}`);
+
+        switch (command) {
+        case 'SUBSCRIBE':
+            if (headers.destination !== `/user/${user.id}/queue/messages`) {
+                return error(`Cannot subscribe to ${headers.destination}`, headers.receipt);
+            }
+            subscriptions.set(headers.id, headers.destination);
+            break;
+        case 'UNSUBSCRIBE':
+            subscriptions.delete(headers.id);
+            break;
+        case 'SEND':
+            if (headers.destination !== '/api/chat') return error(`Unknown destination ${headers.destination}`, headers.receipt);
+            handleChatSend(user, body);
+            break;
+        case 'DISCONNECT':
+            if (headers.receipt) session.sendFrame('RECEIPT', { 'receipt-id': headers.receipt });
+            return transport.close();
+        case 'ACK':
+        case 'NACK':
+        case 'BEGIN':
+        case 'COMMIT':
+        case 'ABORT':
+            break;
+        default:
+            return error(`Unknown command ${command}`, headers.receipt);
+        }
+
+        if (headers.receipt) session.sendFrame('RECEIPT', { 'receipt-id': headers.receipt });
+    }
+
+    return session;
+}
+
+function handleChatSend(user, rawBody) {
+    let msg;
+    try { msg = JSON.parse(rawBody); } catch { return; }
+    if (!msg || msg.type !== 'SEND_MSG') return;
+
+    // Unknown chats and non-members are dropped, like an unhandled @MessageMapping exception
+    const chat = chats.get(msg.chatId);
+    if (!chat || !chat.members.has(user.id)) return;
+
+    const stored = {
+        messageId: crypto.randomUUID(),
+        chatId: chat.chatId,
+        senderId: user.id,
+        content: String(msg.message ?? ''),
+        timeStamp: msg.timeStamp || nowIso(),
+    };
+    chat.messages.push(stored);
+
+    const out = JSON.stringify({
+        type: 'SEND_MSG',
+        messageId: stored.messageId,
+        chatId: stored.chatId,
+        senderId: stored.senderId,
+        message: stored.content,
+        timeStamp: stored.timeStamp,
+    });
+
+    for (const memberId of chat.members) {
+        for (const session of stompSessions.get(memberId) || []) {
+            for (const [subId, destination] of session.subscriptions) {
+                session.sendFrame('MESSAGE', {
+                    subscription: subId,
+                    'message-id': `${stored.messageId}-${subId}`,
+                    destination,
+                    'content-type': 'application/json',
+                }, out);
+            }
+        }
+    }
+}
+
+// --- WebSocket endpoints (raw + SockJS websocket transport)
+
+/**
+ * Validates and consumes the ?ticket= of a handshake. Tickets are single-use,
+ * expire after TICKET_TTL_MS and die with the user's next logoutAll.
+ */
+function consumeTicket(url) {
+    const ticket = url.searchParams.get('ticket');
+    const entry = ticket && tickets.get(ticket);
+    if (!entry) return null;
+    tickets.delete(ticket);
+    if (entry.expiresAt <= Date.now()) return null;
+    const user = users.get(entry.userId);
+    return user && user.epoch === entry.epoch ? user : null;
+}
+
+function rejectUpgrade(socket, status, reason) {
+    socket.write(`HTTP/1.1 ${status} ${reason}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+    socket.destroy();
+}
+
+const wss = new WebSocketServer({ noServer: true });
+
+function handleUpgrade(req, socket, head) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const isSockJs = SOCKJS_WS_PATH.test(url.pathname);
+    if (url.pathname !== WS_PATH && !isSockJs) return rejectUpgrade(socket, 404, 'Not Found');
+
+    const ticketUser = consumeTicket(url);
+    if (!ticketUser) return rejectUpgrade(socket, 401, 'Unauthorized');
+
+    wss.handleUpgrade(req, socket, head, (ws) => (isSockJs ? attachSockJs(ws, ticketUser) : attachRaw(ws, ticketUser)));
+}
+
+function attachRaw(ws, ticketUser) {
+    const session = createStompSession(ticketUser, {
+        send: (text) => ws.send(text),
+        close: () => ws.close(),
+    });
+    ws.on('message', (data) => session.onData(data.toString()));
+    ws.on('close', () => session.onClose());
+}
+
+function attachSockJs(ws, ticketUser) {
+    const session = createStompSession(ticketUser, {
+        send: (text) => ws.send(`a${JSON.stringify([text])}`),
+        close: () => {
+            ws.send('c[3000,"Go away!"]');
+            ws.close();
+        },
+    });
+
+    const heartbeat = setInterval(() => ws.send('h'), 25_000);
+    ws.send('o');
+    ws.on('message', (data) => {
+        let messages;
+        try { messages = JSON.parse(data.toString()); } catch { return ws.close(); }
+        for (const m of [].concat(messages)) session.onData(m);
+    });
+    ws.on('close', () => {
+        clearInterval(heartbeat);
+        session.onClose();
+    });
+}
+
+// --- Start
+
+const server = http.createServer((req, res) => {
+    handleRequest(req, res).catch((e) => {
+        console.error('[mock] unhandled error:', e);
+        if (!res.headersSent) send(res, 500, { status: 500, error: 'Internal error' });
+    });
+});
+server.on('upgrade', handleUpgrade);
+
+server.listen(PORT, () => {
+    console.log(`Whisp mock server listening on http://localhost:${PORT} (${nowIso()})`);
+    console.log(`STOMP endpoint: ws://localhost:${PORT}${WS_PATH} (raw) and http://localhost:${PORT}${WS_PATH} (SockJS)`);
+});
@@ -0,0 +1,200 @@
+/* whisp-reconcile.js
+ *
+ * Post-run persistence check for k6-ws-new.js (Node.js).
+ *
+ * Reads the "SENT {...}" lines k6-ws-new.js logs with SENT_LOG=true, pages
+ * through /api/messages/getMessages/{chatId} for every chat that was written
+ * to, and reports per chat which sent messages are missing from history,
+ * stored more than once, or stored with the wrong sender or timestamp.
+ *
+ *   k6 run -e SENT_LOG=true --console-output=sent.log k6-ws-new.js
+ *   node whisp-reconcile.js
+ *
+ * Messages still in flight when the test stopped show up as missing; give the
+ * backend a moment before reconciling.
+ *
+ * Env vars:
+ *   WHISP_BASE_URL          (default: https://whisp-dev.api.whispchat.com)
+ *   WHISP_API_KEY           (default: same key as whisp-e2e.js)
+ *   PASSWORD                (default: password123)  // of the load-test users
+ *   SENT_LOG_FILE           (default: sent.log)
+ *   PAGE_SIZE               (default: 100)          // ?page=&size= of getMessages
+ *   CONCURRENCY             (default: 10)           // chats reconciled in parallel
+ *   TIMESTAMP_TOLERANCE_MS  (default: 5000)         // stored vs. sent timeStamp
+ *   REPORT_FILE             (default: unset)        // also write the per-chat report as JSON
+ */
+
+'use strict';
+
+const fs = require('fs');
+const { parseRecord } = require('./lib/records.js');
+const { authHeader, createRequest } = require('./whisp-http');
+
+const BASE_URL = process.env.WHISP_BASE_URL || 'https://whisp-dev.api.whispchat.com';
+const API_KEY = process.env.WHISP_API_KEY || '8Nj2zKISsZOf0U2IIh2tdpEvvRQVEmVP';
+const PASSWORD = process.env.PASSWORD || 'password123';
+const SENT_LOG_FILE = process.env.SENT_LOG_FILE || 'sent.log';
+const PAGE_SIZE = +(process.env.PAGE_SIZE) || 100;
+const CONCURRENCY = +(process.env.CONCURRENCY) || 10;
+const TIMESTAMP_TOLERANCE_MS = +(process.env.TIMESTAMP_TOLERANCE_MS) || 5000;
+const REPORT_FILE = process.env.REPORT_FILE || '';
+
+const MAX_PAGES = 10_000; // safety net against a server that ignores ?page=
+
+const request = createRequest(BASE_URL);
+
+// Sent record of one k6 console line (raw or logfmt), or null for any other line
+function parseSentLine(line) {
+    const rec = parseRecord(line, 'SENT');
+    return rec && rec.chatId && rec.nonce ? rec : null;
+}
+
+function readSentLog(file) {
+    const byChat = new Map(); // chatId -> [record]
+    let count = 0;
+    for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+        const rec = parseSentLine(line);
+        if (!rec) continue;
+        if (!byChat.has(rec.chatId)) byChat.set(rec.chatId, []);
+        byChat.get(rec.chatId).push(rec);
+        count++;
+    }
+    return { byChat, count };
+}
+
+// One signin per username, shared by every chat it is used for
+const jwtByUser = new Map();
+function jwtFor(username) {
+    if (!jwtByUser.has(username)) {
+        jwtByUser.set(username, (async () => {
+            const res = await request('/api/user/signin', {
+                method: 'POST',
+                headers: { 'x-api-key': API_KEY },
+                body: { username, password: PASSWORD },
+            });
+            const jwt = authHeader(res.headers.get('authorization'));
+            if (res.status !== 200 || !jwt) throw new Error(`signin as ${username} returned ${res.status}`);
+            return jwt;
+        })());
+    }
+    return jwtByUser.get(username);
+}
+
+async function fetchHistory(chatId, jwt) {
+    const messages = [];
+    const seen = new Set();
+    for (let page = 0; page < MAX_PAGES; page++) {
+        const res = await request(
+            `/api/messages/getMessages/${encodeURIComponent(chatId)}?page=${page}&size=${PAGE_SIZE}`,
+            { headers: { Authorization: jwt } }
+        );
+        if (res.status !== 200 || !res.body || !Array.isArray(res.body.messages)) {
+            throw new Error(`getMessages page ${page} returned ${res.status}`);
+        }
+        const batch = res.body.messages;
+        // A server without pagination returns the full history on every page
+        const fresh = batch.filter((m) => !m.messageId || !seen.has(m.messageId));
+        for (const m of fresh) if (m.messageId) seen.add(m.messageId);
+        messages.push(...fresh);
+        if (batch.length < PAGE_SIZE || fresh.length < batch.length) break;
+    }
+    return messages;
+}
+
+// Nonce and seq of a ping, as encodePing() in k6-ws-new.js writes them
+function pingKey(content) {
+    const m = typeof content === 'string' && content.match(/^ping:(\d+-\d+-\d+)(?:;\w+=[^;]*)*?;s=(\d+)/);
+    return m ? { nonce: m[1], seq: +m[2] } : null;
+}
+
+async function reconcileChat(chatId, sent) {
+    // Any sender is a member, so its credentials can read the history
+    const jwt = await jwtFor(sent[0].username);
+    const history = await fetchHistory(chatId, jwt);
+
+    const stored = new Map(); // `${senderId}|${nonce}|${seq}` -> [message]
+    const byPing = new Map(); // `${nonce}|${seq}` -> [message], any sender
+    for (const m of history) {
+        const ping = pingKey(m.content);
+        if (!ping) continue;
+        for (const [map, key] of [[stored, `${m.senderId}|${ping.nonce}|${ping.seq}`], [byPing, `${ping.nonce}|${ping.seq}`]]) {
+            if (!map.has(key)) map.set(key, []);
+            map.get(key).push(m);
+        }
+    }
+
+    const result = { chatId, sent: sent.length, stored: history.length, missing: [], duplicated: [], wrongSender: [], wrongTimestamp: [] };
+    for (const rec of sent) {
+        const matches = stored.get(`${rec.senderId}|${rec.nonce}|${rec.seq}`) || [];
+        if (!matches.length) {
+            // Same ping stored under another sender: the wrong senderId
+            const other = (byPing.get(`${rec.nonce}|${rec.seq}`) || []).find((m) => m.senderId !== rec.senderId);
+            if (other) result.wrongSender.push({ nonce: rec.nonce, expected: rec.senderId, actual: other.senderId });
+            else result.missing.push({ nonce: rec.nonce, senderId: rec.senderId, seq: rec.seq });
+            continue;
+        }
+        if (matches.length > 1) result.duplicated.push({ nonce: rec.nonce, senderId: rec.senderId, copies: matches.length });
+
+        const drift = Math.abs(Date.parse(matches[0].timeStamp) - Date.parse(rec.timeStamp));
+        if (!(drift <= TIMESTAMP_TOLERANCE_MS)) {
+            result.wrongTimestamp.push({ nonce: rec.nonce, sent: rec.timeStamp, stored: matches[0].timeStamp });
+        }
+    }
+    return result;
+}
+
+function problemCount(r) {
+    return r.missing.length + r.duplicated.length + r.wrongSender.length + r.wrongTimestamp.length;
+}
+
+async function main() {
+    const { byChat, count } = readSentLog(SENT_LOG_FILE);
+    console.log(`Whisp reconcile: ${count} sent messages in ${byChat.size} chats from ${SENT_LOG_FILE} against ${BASE_URL}`);
+    if (!count) {
+        console.error('No "SENT {...}" lines found; run k6-ws-new.js with -e SENT_LOG=true --console-output=<file>');
+        process.exit(1);
+    }
+
+    const results = [];
+    const errors = [];
+    const queue = [...byChat.entries()];
+    async function worker() {
+        while (queue.length) {
+            const [chatId, sent] = queue.shift();
+            try {
+                results.push(await reconcileChat(chatId, sent));
+            } catch (e) {
+                errors.push({ chatId, error: e.message });
+                console.error(`${chatId}: ${e.message}`);
+            }
+        }
+    }
+    await Promise.all(Array.from({ length: CONCURRENCY }, worker));
+
+    const totals = { missing: 0, duplicated: 0, wrongSender: 0, wrongTimestamp: 0 };
+    for (const r of results) {
+        for (const k of Object.keys(totals)) totals[k] += r[k].length;
+        if (!problemCount(r)) continue;
+        console.log(`\n${r.chatId}: sent ${r.sent}, stored ${r.stored}`);
+        if (r.missing.length) console.log(`  missing:         ${r.missing.map((m) => `${m.senderId}#${m.seq}`).join(', ')}`);
+        if (r.duplicated.length) console.log(`  duplicated:      ${r.duplicated.map((m) => `${m.nonce} x${m.copies}`).join(', ')}`);
+        if (r.wrongSender.length) console.log(`  wrong sender:    ${r.wrongSender.map((m) => `${m.nonce} (${m.actual})`).join(', ')}`);
+        if (r.wrongTimestamp.length) console.log(`  wrong timestamp: ${r.wrongTimestamp.map((m) => `${m.nonce} (${m.stored})`).join(', ')}`);
+    }
+
+    const clean = results.filter((r) => !problemCount(r)).length;
+    console.log(`\nChats: ${clean} clean, ${results.length - clean} with problems, ${errors.length} not checked`);
+    console.log(`Messages: missing ${totals.missing}, duplicated ${totals.duplicated}, wrong sender ${totals.wrongSender}, wrong timestamp ${totals.wrongTimestamp}`);
+
+    if (REPORT_FILE) {
+        fs.writeFileSync(REPORT_FILE, JSON.stringify({ baseUrl: BASE_URL, totals, chats: results, errors }, null, 2));
+        console.log(`Report: ${REPORT_FILE}`);
+    }
+
+    if (errors.length || results.some(problemCount)) process.exit(1);
+}
+
+main().catch((e) => {
+    console.error('\nRECONCILE FAILED:\n', e && e.stack ? e.stack : e);
+    process.exit(1);
+});